@@ -0,0 +1,447 @@
+// Shared session registry and message bus, so several server processes can serve the same sessions.
+// One process gets by with the in-process adapter; set REDIS_URL to share through Redis (or anything
+// that speaks its protocol) instead.
+//
+// Adapters offer the handful of Redis operations the server needs, each returning a promise:
+//   get(key), set(key, value), del(...keys)                   string values
+//   setnx(key, value)                                         set unless present; true if it was set
+//   hset(key, field, value), hdel(key, field), hgetall(key)   hashes of strings ({ field: value })
+//   publish(channel, message), subscribe(channel, handler)    string messages
+const net = require('net');
+const tls = require('tls');
+const { Readable } = require('stream');
+
+// Everything lives in one process: a Map for the registry, direct calls for the bus
+class LocalAdapter {
+    constructor() {
+        this.values = new Map();
+        this.hashes = new Map();
+        this.handlers = new Map(); // channel -> [handler]
+    }
+
+    async get(key) {
+        return this.values.has(key) ? this.values.get(key) : null;
+    }
+
+    async set(key, value) {
+        this.values.set(key, String(value));
+    }
+
+    async setnx(key, value) {
+        if (this.values.has(key)) return false;
+        this.values.set(key, String(value));
+        return true;
+    }
+
+    async del(...keys) {
+        keys.forEach(key => {
+            this.values.delete(key);
+            this.hashes.delete(key);
+        });
+    }
+
+    async hset(key, field, value) {
+        if (!this.hashes.has(key)) this.hashes.set(key, new Map());
+        this.hashes.get(key).set(field, String(value));
+    }
+
+    async hdel(key, field) {
+        const hash = this.hashes.get(key);
+        if (hash) hash.delete(field);
+    }
+
+    async hgetall(key) {
+        return Object.fromEntries(this.hashes.get(key) || []);
+    }
+
+    async publish(channel, message) {
+        // Delivered on a later tick, as it would be coming back from a server
+        (this.handlers.get(channel) || []).forEach(handler => setImmediate(handler, String(message)));
+    }
+
+    async subscribe(channel, handler) {
+        if (!this.handlers.has(channel)) this.handlers.set(channel, []);
+        this.handlers.get(channel).push(handler);
+    }
+}
+
+class RedisError extends Error {}
+
+function encodeCommand(args) {
+    const parts = [Buffer.from(`*${args.length}\r\n`)];
+    args.forEach(arg => {
+        const value = Buffer.from(String(arg));
+        parts.push(Buffer.from(`$${value.length}\r\n`), value, Buffer.from('\r\n'));
+    });
+    return Buffer.concat(parts);
+}
+
+// Read one RESP2 reply from buf at offset: [value, nextOffset], or null until more data arrives
+function parseReply(buf, offset) {
+    const lineEnd = buf.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(buf[offset]);
+    const line = buf.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+': return [line, next];
+        case '-': return [new RedisError(line), next];
+        case ':': return [Number(line), next];
+        case '$': {
+            const length = Number(line);
+            if (length < 0) return [null, next];
+            if (buf.length < next + length + 2) return null;
+            return [buf.toString('utf8', next, next + length), next + length + 2];
+        }
+        case '*': {
+            const count = Number(line);
+            if (count < 0) return [null, next];
+            const items = [];
+            let pos = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buf, pos);
+                if (!item) return null;
+                items.push(item[0]);
+                pos = item[1];
+            }
+            return [items, pos];
+        }
+        default:
+            throw new RedisError(`Unexpected reply type "${type}"`);
+    }
+}
+
+// One connection to the server, reconnecting after a second whenever it drops.
+// Replies are matched to commands in order; onMessage receives published messages
+// when the connection is used for subscriptions. Commands wait until AUTH and SELECT
+// have been answered, so no reply can be matched to the wrong command.
+class RedisConnection {
+    constructor(options, onMessage = null) {
+        this.options = options;
+        this.onMessage = onMessage;
+        this.onConnect = null;
+        this.pending = []; // { resolve, reject } per command awaiting its reply
+        this.queued = []; // { args, resolve, reject } per command waiting for the connection
+        this.ready = false;
+        this.closed = false;
+        this.buffer = Buffer.alloc(0);
+        this.connect();
+    }
+
+    connect() {
+        const { host, port, username, password, db, secure } = this.options;
+        const socket = this.socket = secure
+            ? tls.connect({ host, port, servername: host })
+            : net.createConnection({ host, port });
+        this.ready = false;
+        socket.setNoDelay(true);
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('error', err => console.error(`Redis connection error: ${err.message}`));
+        socket.on('close', () => {
+            // Nothing sent on this socket will be answered, and commands waiting for it fail
+            // rather than pile up until the server is back
+            this.ready = false;
+            const closed = new RedisError('Redis connection closed');
+            this.pending.splice(0).forEach(({ reject }) => reject(closed));
+            this.queued.splice(0).forEach(({ reject }) => reject(closed));
+            this.buffer = Buffer.alloc(0);
+            if (!this.closed) setTimeout(() => this.connect(), 1000);
+        });
+
+        // The socket holds these until it is connected; everything else goes out once they are answered
+        const setup = [];
+        if (password) setup.push(username ? ['AUTH', username, password] : ['AUTH', password]);
+        if (db) setup.push(['SELECT', db]);
+        Promise.allSettled(setup.map(args => this.send(args)
+            .catch(err => console.error(`Redis ${args[0]} failed: ${err.message}`))))
+            .then(() => {
+                if (socket.destroyed) return;
+                this.ready = true;
+                this.queued.splice(0).forEach(({ args, resolve, reject }) => this.send(args).then(resolve, reject));
+            });
+        if (this.onConnect) this.onConnect();
+    }
+
+    // Disconnect for good
+    close() {
+        this.closed = true;
+        this.socket.destroy();
+    }
+
+    command(args) {
+        if (this.closed) return Promise.reject(new RedisError('Redis connection closed'));
+        if (this.ready) return this.send(args);
+        return new Promise((resolve, reject) => this.queued.push({ args, resolve, reject }));
+    }
+
+    send(args) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ resolve, reject });
+            this.socket.write(encodeCommand(args));
+        });
+    }
+
+    receive(chunk) {
+        this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+        let offset = 0;
+        let parsed;
+        try {
+            while (offset < this.buffer.length && (parsed = parseReply(this.buffer, offset))) {
+                offset = parsed[1];
+                this.dispatch(parsed[0]);
+            }
+        } catch (err) {
+            // Out of step with the server: start over on a fresh connection
+            console.error(`Redis protocol error: ${err.message}`);
+            this.socket.destroy();
+            return;
+        }
+        this.buffer = this.buffer.subarray(offset);
+    }
+
+    dispatch(reply) {
+        if (this.onMessage && Array.isArray(reply) && reply[0] === 'message') {
+            try {
+                this.onMessage(reply[1], reply[2]);
+            } catch (err) {
+                console.error(`Error handling message on ${reply[1]}:`, err);
+            }
+            return;
+        }
+        const waiter = this.pending.shift();
+        if (!waiter) return;
+        if (reply instanceof RedisError) waiter.reject(reply);
+        else waiter.resolve(reply);
+    }
+}
+
+// Registry and bus in Redis: redis://[user:password@]host[:port][/db], or rediss:// for TLS
+class RedisAdapter {
+    constructor(url) {
+        const parsed = new URL(url);
+        const options = {
+            host: parsed.hostname || 'localhost',
+            port: Number(parsed.port) || 6379,
+            username: decodeURIComponent(parsed.username),
+            password: decodeURIComponent(parsed.password),
+            db: Number(parsed.pathname.slice(1)) || 0,
+            secure: parsed.protocol === 'rediss:'
+        };
+        this.handlers = new Map(); // channel -> [handler]
+        this.commands = new RedisConnection(options);
+        // A subscribed connection can't run other commands, so the bus gets its own
+        this.subscriber = new RedisConnection(options, (channel, message) => {
+            (this.handlers.get(channel) || []).forEach(handler => handler(message));
+        });
+        this.subscriber.onConnect = () => {
+            this.handlers.forEach((handlers, channel) => this.listen(channel));
+        };
+    }
+
+    get(key) {
+        return this.commands.command(['GET', key]);
+    }
+
+    set(key, value) {
+        return this.commands.command(['SET', key, value]);
+    }
+
+    async setnx(key, value) {
+        return await this.commands.command(['SET', key, value, 'NX']) === 'OK';
+    }
+
+    del(...keys) {
+        return this.commands.command(['DEL', ...keys]);
+    }
+
+    hset(key, field, value) {
+        return this.commands.command(['HSET', key, field, value]);
+    }
+
+    hdel(key, field) {
+        return this.commands.command(['HDEL', key, field]);
+    }
+
+    async hgetall(key) {
+        const flat = await this.commands.command(['HGETALL', key]);
+        const hash = {};
+        for (let i = 0; i + 1 < flat.length; i += 2) hash[flat[i]] = flat[i + 1];
+        return hash;
+    }
+
+    publish(channel, message) {
+        return this.commands.command(['PUBLISH', channel, message]);
+    }
+
+    async subscribe(channel, handler) {
+        const known = this.handlers.has(channel);
+        if (!known) this.handlers.set(channel, []);
+        this.handlers.get(channel).push(handler);
+        if (!known) await this.listen(channel);
+    }
+
+    close() {
+        this.commands.close();
+        this.subscriber.close();
+    }
+
+    // One channel per SUBSCRIBE, so every command gets exactly one reply
+    listen(channel) {
+        return this.subscriber.command(['SUBSCRIBE', channel])
+            .catch(err => console.error(`Redis SUBSCRIBE ${channel} failed: ${err.message}`));
+    }
+}
+
+function createAdapter(url) {
+    return url ? new RedisAdapter(url) : new LocalAdapter();
+}
+
+// Stop sending once this much is out but not yet acknowledged by the reading process
+const STREAM_WINDOW_BYTES = 1024 * 1024;
+const STREAM_ACK_BYTES = 256 * 1024;
+// A reader with nothing buffered gives up after waiting this long for data; the owner drops
+// a stream that has gone unacknowledged for much longer (the reading process may be gone)
+const STREAM_IDLE_MS = 30 * 1000;
+const STREAM_ABANDON_MS = 10 * 60 * 1000;
+
+// Byte streams between processes over the bus, for payloads stored on another process's disk.
+// Each process listens on its own channel; the owner reads from disk and sends base64 chunks,
+// the reader acknowledges what it has taken in. openLocal(request) opens the owner's stream.
+class StreamRelay {
+    constructor(adapter, instanceId, openLocal) {
+        this.adapter = adapter;
+        this.instanceId = instanceId;
+        this.openLocal = openLocal;
+        this.outgoing = new Map(); // streamId -> { reader, to, sent, acked, timer }
+        this.incoming = new Map(); // streamId -> { stream, owner, received, acked, timer }
+        this.nextId = 0;
+        adapter.subscribe(StreamRelay.channel(instanceId), message => this.handle(JSON.parse(message)));
+    }
+
+    static channel(instanceId) {
+        return `easetransfer:instance:${instanceId}`;
+    }
+
+    send(instanceId, message) {
+        this.adapter.publish(StreamRelay.channel(instanceId), JSON.stringify(message))
+            .catch(err => console.error(`Stream relay publish failed: ${err.message}`));
+    }
+
+    // Readable stream of a payload held by another process
+    open(ownerId, request) {
+        const streamId = `${this.instanceId}:${this.nextId++}`;
+        const entry = { owner: ownerId, received: 0, acked: 0, timer: null };
+        const grant = () => {
+            if (entry.received > entry.acked) {
+                entry.acked = entry.received;
+                this.send(ownerId, { type: 'stream_ack', streamId, received: entry.received });
+            }
+        };
+        entry.stream = new Readable({
+            read: grant,
+            destroy: (err, callback) => {
+                if (this.incoming.delete(streamId)) {
+                    clearTimeout(entry.timer);
+                    this.send(ownerId, { type: 'stream_close', streamId });
+                }
+                callback(err);
+            }
+        });
+        entry.grant = grant;
+        this.incoming.set(streamId, entry);
+        this.watch(entry);
+        this.send(ownerId, { type: 'stream_open', streamId, from: this.instanceId, request });
+        return entry.stream;
+    }
+
+    // Time out a reader that is starved of data, but not one whose consumer is just slow
+    watch(entry) {
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => {
+            if (entry.stream.readableLength > 0) this.watch(entry);
+            else entry.stream.destroy(new Error('Stream from another server timed out'));
+        }, STREAM_IDLE_MS);
+    }
+
+    abandonLater(outgoing) {
+        clearTimeout(outgoing.timer);
+        outgoing.timer = setTimeout(() => outgoing.reader.destroy(), STREAM_ABANDON_MS);
+    }
+
+    handle(message) {
+        const { type, streamId } = message;
+        if (type === 'stream_open') {
+            this.serve(streamId, message.from, message.request);
+            return;
+        }
+
+        const outgoing = this.outgoing.get(streamId);
+        if (outgoing) {
+            if (type === 'stream_ack') {
+                outgoing.acked = Math.max(outgoing.acked, message.received);
+                this.abandonLater(outgoing);
+                if (outgoing.reader.isPaused() && outgoing.sent - outgoing.acked <= STREAM_WINDOW_BYTES) {
+                    outgoing.reader.resume();
+                }
+            } else if (type === 'stream_close') {
+                outgoing.reader.destroy();
+            }
+            return;
+        }
+
+        const incoming = this.incoming.get(streamId);
+        if (!incoming) return;
+        const { stream } = incoming;
+        if (type === 'stream_data') {
+            const chunk = Buffer.from(message.data, 'base64');
+            incoming.received += chunk.length;
+            this.watch(incoming);
+            // Acknowledge as the consumer keeps up; read() catches up once it drains a full buffer
+            if (stream.push(chunk) && incoming.received - incoming.acked >= STREAM_ACK_BYTES) {
+                incoming.grant();
+            }
+        } else if (type === 'stream_end') {
+            this.incoming.delete(streamId);
+            clearTimeout(incoming.timer);
+            stream.push(null);
+        } else if (type === 'stream_error') {
+            this.incoming.delete(streamId);
+            clearTimeout(incoming.timer);
+            stream.destroy(new Error(message.error));
+        }
+    }
+
+    // Owner side: read the payload and send it on, keeping within the window
+    serve(streamId, to, request) {
+        let reader;
+        try {
+            reader = this.openLocal(request);
+        } catch (err) {
+            this.send(to, { type: 'stream_error', streamId, error: err.message });
+            return;
+        }
+        const outgoing = { reader, to, sent: 0, acked: 0, timer: null };
+        this.outgoing.set(streamId, outgoing);
+        this.abandonLater(outgoing);
+
+        reader.on('data', chunk => {
+            this.send(to, { type: 'stream_data', streamId, data: chunk.toString('base64') });
+            outgoing.sent += chunk.length;
+            if (outgoing.sent - outgoing.acked > STREAM_WINDOW_BYTES) reader.pause();
+        });
+        reader.on('end', () => this.send(to, { type: 'stream_end', streamId }));
+        reader.on('error', err => this.send(to, { type: 'stream_error', streamId, error: err.message }));
+        reader.on('close', () => {
+            clearTimeout(outgoing.timer);
+            this.outgoing.delete(streamId);
+        });
+    }
+}
+
+module.exports = {
+    LocalAdapter,
+    RedisAdapter,
+    StreamRelay,
+    createAdapter
+};
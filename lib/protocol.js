@@ -0,0 +1,246 @@
+// The JSON messages devices send over the WebSocket. Every type has a schema that is checked
+// before the server acts on a message: fields outside the schema are dropped, and names are
+// cleaned of control characters and path separators before anything stores or shows them.
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]+$/;
+const HEX_SHA256_PATTERN = /^[0-9a-fA-F]{64}$/;
+const MIME_TYPE_PATTERN = /^[\w!#$&^.+-]+\/[\w!#$&^.+-]+(\s*;[^\x00-\x1f\x7f]*)?$/;
+const SESSION_CODE_PATTERN = /^[A-Za-z0-9]+$/;
+// Control characters, plus the bidi overrides that can make "gpj.exe" display as "exe.jpg"
+const UNSAFE_CHARS = /[\x00-\x1f\x7f\u202a-\u202e\u2066-\u2069]/g;
+
+const MAX_FILE_NAME_LENGTH = 255;
+const MAX_DEVICE_NAME_LENGTH = 40;
+const MAX_PATH_LENGTH = 1024;
+const DEVICE_TYPES = ['iphone', 'android', 'mac', 'windows', 'unknown'];
+const SIGNAL_KINDS = ['request', 'offer', 'answer', 'candidate', 'decline'];
+
+// Keep a file name to its last path segment, as browsers do when saving; null when nothing usable is left
+function cleanFileName(name) {
+    if (typeof name !== 'string' || name.length > MAX_PATH_LENGTH) return null;
+    const cleaned = name.replace(UNSAFE_CHARS, '').split(/[\\/]/).pop().trim();
+    if (!cleaned || cleaned === '.' || cleaned === '..' || cleaned.length > MAX_FILE_NAME_LENGTH) return null;
+    return cleaned;
+}
+
+// Trim a user-chosen device name to something safe to show; null when nothing usable is left
+function cleanDeviceName(name) {
+    const cleaned = String(name || '').replace(UNSAFE_CHARS, '').replace(/\s+/g, ' ').trim().slice(0, MAX_DEVICE_NAME_LENGTH);
+    return cleaned || null;
+}
+
+// Keep a folder upload's path as plain "a/b/c.txt": no absolute, empty, dot or control-character segments.
+// Paths with double quotes are refused outright: no real folder has one on Windows, and the folder
+// name ends up in other devices' HTML attributes.
+function cleanRelativePath(value) {
+    if (typeof value !== 'string' || value.length > MAX_PATH_LENGTH || value.includes('"')) return null;
+    const segments = value.split(/[\\/]+/)
+        .map(segment => segment.replace(UNSAFE_CHARS, '').trim())
+        .filter(segment => segment && segment !== '.' && segment !== '..');
+    // A bare file name is not a folder upload
+    return segments.length > 1 ? segments.join('/') : null;
+}
+
+function isId(value) {
+    return typeof value === 'string' && ID_PATTERN.test(value);
+}
+
+// Thrown by field checks; validateMessage turns it into a rejection
+class ProtocolError extends Error {}
+
+// A field check takes the raw value and the field's name and returns the cleaned value, throwing
+// a ProtocolError saying what the field should be. Optional fields may be left out (or null).
+function field(description, check, { optional = false } = {}) {
+    return (value, name) => {
+        if (value === undefined || value === null) {
+            if (optional) return undefined;
+            throw new ProtocolError(`${name} is required`);
+        }
+        const cleaned = check(value, name);
+        if (cleaned === undefined || cleaned === null) {
+            throw new ProtocolError(`${name} must be ${description}`);
+        }
+        return cleaned;
+    };
+}
+
+function text(max, { pattern, description = `a string of at most ${max} characters`, ...options } = {}) {
+    return field(description, value =>
+        typeof value === 'string' && value.length <= max && (!pattern || pattern.test(value)) ? value : null, options);
+}
+
+function integer(min, max, options) {
+    return field(`a whole number from ${min} to ${max}`, value =>
+        Number.isSafeInteger(value) && value >= min && value <= max ? value : null, options);
+}
+
+function flag(options) {
+    return field('true or false', value => typeof value === 'boolean' ? value : null, options);
+}
+
+function oneOf(values, options) {
+    return field(`one of ${values.join(', ')}`, value => values.includes(value) ? value : null, options);
+}
+
+function id(options) {
+    return field('an ID', value => isId(value) ? value : null, options);
+}
+
+function list(item, max, options) {
+    return field(`a list of at most ${max} items`, (value, name) => {
+        if (!Array.isArray(value) || value.length > max) return null;
+        return value.map((entry, i) => item(entry, `${name}[${i}]`));
+    }, options);
+}
+
+// A nested object checked against its own schema. `open` objects keep fields the schema doesn't
+// list (e.g. WebRTC descriptions, passed on as they are), within maxBytes of JSON.
+function object(schema, { open = false, maxBytes = 4096, ...options } = {}) {
+    return field(`an object of at most ${maxBytes} bytes`, (value, name) => {
+        if (typeof value !== 'object' || Array.isArray(value)) return null;
+        if (Buffer.byteLength(JSON.stringify(value)) > maxBytes) return null;
+        return checkFields(schema, value, open ? { ...value } : {}, `${name}.`);
+    }, options);
+}
+
+function fileName(options) {
+    return field(`a file name of at most ${MAX_FILE_NAME_LENGTH} characters`, cleanFileName, options);
+}
+
+function deviceName(options) {
+    return field('a non-empty device name', value => typeof value === 'string' && value.length <= 200 ? cleanDeviceName(value) : null, options);
+}
+
+function checkFields(schema, value, result, prefix = '') {
+    for (const [name, check] of Object.entries(schema)) {
+        const cleaned = check(value[name], prefix + name);
+        if (cleaned === undefined) {
+            delete result[name];
+        } else {
+            result[name] = cleaned;
+        }
+    }
+    return result;
+}
+
+// Client-side encryption parameters stored with a file or text (see the web app's encryptChunk)
+const encryption = () => object({
+    alg: oneOf(['AES-GCM']),
+    keyId: text(64, { pattern: BASE64URL_PATTERN, description: 'base64url text' }),
+    nonce: text(64, { pattern: BASE64URL_PATTERN, description: 'base64url text' }),
+    chunkSize: integer(1, 2 ** 31),
+    plainSize: integer(0, Number.MAX_SAFE_INTEGER)
+}, { optional: true });
+
+const expiry = () => ({
+    ttlMinutes: integer(1, Number.MAX_SAFE_INTEGER, { optional: true }),
+    pinned: flag({ optional: true })
+});
+
+const MESSAGE_SCHEMAS = {
+    create_session: {
+        deviceName: deviceName({ optional: true }),
+        deviceType: oneOf(DEVICE_TYPES, { optional: true }),
+        pin: text(64, { optional: true }),
+        requireApproval: flag({ optional: true })
+    },
+    join_session: {
+        sessionCode: text(12, { pattern: SESSION_CODE_PATTERN, description: 'a session code', optional: true }),
+        linkToken: text(64, { optional: true }),
+        pin: text(64, { optional: true }),
+        deviceName: deviceName({ optional: true }),
+        deviceType: oneOf(DEVICE_TYPES, { optional: true })
+    },
+    join_response: {
+        deviceId: id(),
+        approved: flag()
+    },
+    file_start: {
+        requestId: text(64, { optional: true }),
+        fileName: fileName(),
+        fileSize: integer(0, Number.MAX_SAFE_INTEGER),
+        mimeType: text(127, { pattern: MIME_TYPE_PATTERN, description: 'a MIME type such as image/jpeg', optional: true }),
+        encryption: encryption(),
+        recipients: list(id(), 100, { optional: true }),
+        relativePath: text(MAX_PATH_LENGTH, { optional: true }),
+        ...expiry()
+    },
+    send_text: {
+        // Length against the server's text limit is checked by the handler, which says so
+        text: text(1024 * 1024),
+        encryption: encryption(),
+        recipients: list(id(), 100, { optional: true }),
+        ...expiry()
+    },
+    cancel_upload: {
+        fileId: id()
+    },
+    file_complete: {
+        fileId: id(),
+        sha256: text(64, { pattern: HEX_SHA256_PATTERN, description: 'a hex SHA-256 digest', optional: true }),
+        // Checked in detail by cleanThumbnail
+        thumbnail: object({}, { open: true, maxBytes: 256 * 1024, optional: true })
+    },
+    resume_upload: {
+        requestId: text(64, { optional: true }),
+        fileId: id()
+    },
+    rtc_signal: {
+        targetId: id(),
+        signal: object({
+            kind: oneOf(SIGNAL_KINDS),
+            transferId: text(64)
+        }, { open: true, maxBytes: 64 * 1024 })
+    },
+    request_download: {
+        fileId: id()
+    },
+    request_zip: {
+        folder: text(MAX_PATH_LENGTH, { optional: true }),
+        fileIds: list(id(), 10000, { optional: true })
+    },
+    download_ack: {
+        fileId: id(),
+        received: integer(0, Number.MAX_SAFE_INTEGER)
+    },
+    request_file: {
+        fileId: id()
+    },
+    delete_file: {
+        fileId: id()
+    },
+    pin_file: {
+        fileId: id(),
+        pinned: flag()
+    },
+    rename_device: {
+        name: deviceName()
+    },
+    ping: {}
+};
+
+// Check a parsed message against its type's schema. Returns { message } holding only the
+// schema's fields, cleaned, or { rejection: { code, error } } saying what is wrong with it.
+function validateMessage(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message) || typeof message.type !== 'string') {
+        return { rejection: { code: 'invalid_message', error: 'Messages must be JSON objects with a type.' } };
+    }
+    if (!Object.prototype.hasOwnProperty.call(MESSAGE_SCHEMAS, message.type)) {
+        return { rejection: { code: 'unknown_type', error: `Unknown message type "${message.type.slice(0, 40)}".` } };
+    }
+
+    try {
+        return { message: checkFields(MESSAGE_SCHEMAS[message.type], message, { type: message.type }) };
+    } catch (err) {
+        if (!(err instanceof ProtocolError)) throw err;
+        return { rejection: { code: 'invalid_message', error: `Invalid ${message.type} message: ${err.message}.` } };
+    }
+}
+
+module.exports = {
+    validateMessage,
+    cleanFileName,
+    cleanDeviceName,
+    cleanRelativePath,
+    isId
+};
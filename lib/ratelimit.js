@@ -0,0 +1,44 @@
+// Token-bucket rate limits keyed by client (an IP address, a device): each key may take `limit`
+// actions in a burst and gets them back evenly over `windowMs`
+class RateLimiter {
+    constructor({ limit, windowMs }) {
+        this.limit = limit;
+        this.refillPerMs = limit / windowMs;
+        this.buckets = new Map(); // key -> { tokens, updatedAt }
+    }
+
+    bucket(key) {
+        const now = Date.now();
+        const bucket = this.buckets.get(key) || { tokens: this.limit, updatedAt: now };
+        bucket.tokens = Math.min(this.limit, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+        bucket.updatedAt = now;
+        this.buckets.set(key, bucket);
+        return bucket;
+    }
+
+    // Spend one action; false (and nothing spent) when the key has none left
+    take(key) {
+        const bucket = this.bucket(key);
+        if (bucket.tokens < 1) return false;
+        bucket.tokens -= 1;
+        return true;
+    }
+
+    // Milliseconds until the key may act again, 0 when it may now
+    retryAfter(key) {
+        const bucket = this.bucket(key);
+        return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / this.refillPerMs);
+    }
+
+    // Forget keys whose buckets have filled up again; they behave just like new ones
+    prune() {
+        const now = Date.now();
+        this.buckets.forEach((bucket, key) => {
+            if (bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs >= this.limit) {
+                this.buckets.delete(key);
+            }
+        });
+    }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,102 @@
+// Disk storage for uploaded files: uploads/<sessionCode>/<fileId>, plus the saved session state
+const fs = require('fs');
+const path = require('path');
+
+// UPLOADS_DIR can point at a persistent disk so files outlive a redeploy
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads');
+const STATE_FILE = path.join(UPLOADS_DIR, 'sessions.json');
+
+function sessionDir(sessionCode) {
+    return path.join(UPLOADS_DIR, sessionCode);
+}
+
+function filePath(sessionCode, fileId) {
+    return path.join(sessionDir(sessionCode), fileId);
+}
+
+// Open a write stream for an incoming upload, creating the session folder if needed
+function createWriter(sessionCode, fileId) {
+    fs.mkdirSync(sessionDir(sessionCode), { recursive: true });
+    const writer = fs.createWriteStream(filePath(sessionCode, fileId));
+    writer.on('error', (err) => {
+        console.error(`Error writing file ${fileId}:`, err);
+    });
+    return writer;
+}
+
+// Open a read stream for a stored file (options are passed to fs.createReadStream)
+function createReader(sessionCode, fileId, options = {}) {
+    return fs.createReadStream(filePath(sessionCode, fileId), options);
+}
+
+function removeFile(sessionCode, fileId) {
+    fs.rm(filePath(sessionCode, fileId), { force: true }, (err) => {
+        if (err) console.error(`Error removing file ${fileId}:`, err);
+    });
+}
+
+function removeSession(sessionCode) {
+    fs.rm(sessionDir(sessionCode), { recursive: true, force: true }, (err) => {
+        if (err) console.error(`Error removing session folder ${sessionCode}:`, err);
+    });
+}
+
+// Size of a stored payload, or -1 when it isn't on disk
+function storedSize(sessionCode, fileId) {
+    try {
+        return fs.statSync(filePath(sessionCode, fileId)).size;
+    } catch (err) {
+        return -1;
+    }
+}
+
+// Remove payloads from a previous run that the restored sessions don't know about.
+// keep: Map of sessionCode -> Set of file IDs
+function removeOrphans(keep) {
+    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+    for (const entry of fs.readdirSync(UPLOADS_DIR, { withFileTypes: true })) {
+        if (!entry.isDirectory()) continue; // .gitkeep, the state file
+        const fileIds = keep.get(entry.name);
+        if (!fileIds) {
+            fs.rmSync(path.join(UPLOADS_DIR, entry.name), { recursive: true, force: true });
+            continue;
+        }
+        for (const fileId of fs.readdirSync(sessionDir(entry.name))) {
+            if (!fileIds.has(fileId)) fs.rmSync(filePath(entry.name, fileId), { force: true });
+        }
+    }
+}
+
+// Saved session state, or null when there is none (or it can't be read)
+function loadState() {
+    try {
+        return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.error('Error loading saved sessions:', err);
+        return null;
+    }
+}
+
+// Written to a temporary file first so a crash mid-write never leaves half a state file
+function saveState(state) {
+    try {
+        fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+        fs.writeFileSync(`${STATE_FILE}.tmp`, JSON.stringify(state));
+        fs.renameSync(`${STATE_FILE}.tmp`, STATE_FILE);
+    } catch (err) {
+        console.error('Error saving sessions:', err);
+    }
+}
+
+module.exports = {
+    UPLOADS_DIR,
+    filePath,
+    createWriter,
+    createReader,
+    removeFile,
+    removeSession,
+    storedSize,
+    removeOrphans,
+    loadState,
+    saveState
+};
@@ -0,0 +1,221 @@
+// Streaming ZIP writer. Entries are stored (not compressed) and read straight from disk,
+// so an archive of any size goes out without being built in memory. Media and encrypted
+// payloads don't compress anyway, and stored entries make the archive length known up front.
+const zlib = require('zlib');
+const { Readable } = require('stream');
+
+const ZIP64_LIMIT = 0xFFFFFFFF;
+const VERSION = 45; // 4.5: ZIP64
+
+// zlib.crc32 only exists on newer Node releases
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+function crc32(data, crc = 0) {
+    if (zlib.crc32) return zlib.crc32(data, crc);
+    crc = ~crc;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+}
+
+function dosDateTime(date) {
+    const d = new Date(date || Date.now());
+    return {
+        time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+        date: (Math.max(d.getFullYear(), 1980) - 1980) << 9 | (d.getMonth() + 1) << 5 | d.getDate()
+    };
+}
+
+// Lay out every header from the entries' known sizes: [{ name, size, date }]
+function layout(entries) {
+    let offset = 0;
+    const files = entries.map(entry => {
+        const name = Buffer.from(entry.name, 'utf8');
+        const zip64 = entry.size >= ZIP64_LIMIT;
+        const localSize = 30 + name.length + (zip64 ? 20 : 0);
+        const descriptorSize = zip64 ? 24 : 16;
+        const file = { entry, name, zip64, offset, localSize, descriptorSize, ...dosDateTime(entry.date) };
+        offset += localSize + entry.size + descriptorSize;
+        return file;
+    });
+
+    const centralOffset = offset;
+    let centralSize = 0;
+    files.forEach(file => {
+        file.centralZip64 = file.zip64 || file.offset >= ZIP64_LIMIT;
+        file.centralExtraSize = file.centralZip64 ? 4 + (file.zip64 ? 16 : 0) + (file.offset >= ZIP64_LIMIT ? 8 : 0) : 0;
+        centralSize += 46 + file.name.length + file.centralExtraSize;
+    });
+
+    const zip64End = files.length >= 0xFFFF || centralOffset >= ZIP64_LIMIT || centralSize >= ZIP64_LIMIT;
+    const endSize = 22 + (zip64End ? 56 + 20 : 0);
+    return { files, centralOffset, centralSize, zip64End, length: centralOffset + centralSize + endSize };
+}
+
+// Total archive length in bytes, for Content-Length
+function zipLength(entries) {
+    return layout(entries).length;
+}
+
+function localHeader(file) {
+    const buf = Buffer.alloc(file.localSize);
+    buf.writeUInt32LE(0x04034b50, 0);
+    buf.writeUInt16LE(file.zip64 ? VERSION : 20, 4);
+    buf.writeUInt16LE(0x0808, 6); // sizes/CRC in a data descriptor, UTF-8 names
+    buf.writeUInt16LE(0, 8); // stored
+    buf.writeUInt16LE(file.time, 10);
+    buf.writeUInt16LE(file.date, 12);
+    buf.writeUInt32LE(0, 14); // CRC follows in the descriptor
+    const size = file.zip64 ? ZIP64_LIMIT : file.entry.size;
+    buf.writeUInt32LE(size, 18);
+    buf.writeUInt32LE(size, 22);
+    buf.writeUInt16LE(file.name.length, 26);
+    buf.writeUInt16LE(file.zip64 ? 20 : 0, 28);
+    file.name.copy(buf, 30);
+    if (file.zip64) {
+        const extra = 30 + file.name.length;
+        buf.writeUInt16LE(0x0001, extra);
+        buf.writeUInt16LE(16, extra + 2);
+        buf.writeBigUInt64LE(BigInt(file.entry.size), extra + 4);
+        buf.writeBigUInt64LE(BigInt(file.entry.size), extra + 12);
+    }
+    return buf;
+}
+
+function dataDescriptor(file) {
+    const buf = Buffer.alloc(file.descriptorSize);
+    buf.writeUInt32LE(0x08074b50, 0);
+    buf.writeUInt32LE(file.crc, 4);
+    if (file.zip64) {
+        buf.writeBigUInt64LE(BigInt(file.entry.size), 8);
+        buf.writeBigUInt64LE(BigInt(file.entry.size), 16);
+    } else {
+        buf.writeUInt32LE(file.entry.size, 8);
+        buf.writeUInt32LE(file.entry.size, 12);
+    }
+    return buf;
+}
+
+function centralHeader(file) {
+    const buf = Buffer.alloc(46 + file.name.length + file.centralExtraSize);
+    buf.writeUInt32LE(0x02014b50, 0);
+    buf.writeUInt16LE(VERSION, 4);
+    buf.writeUInt16LE(file.centralZip64 ? VERSION : 20, 6);
+    buf.writeUInt16LE(0x0808, 8);
+    buf.writeUInt16LE(0, 10);
+    buf.writeUInt16LE(file.time, 12);
+    buf.writeUInt16LE(file.date, 14);
+    buf.writeUInt32LE(file.crc, 16);
+    const size = file.zip64 ? ZIP64_LIMIT : file.entry.size;
+    buf.writeUInt32LE(size, 20);
+    buf.writeUInt32LE(size, 24);
+    buf.writeUInt16LE(file.name.length, 28);
+    buf.writeUInt16LE(file.centralExtraSize, 30);
+    // comment length, disk, internal and external attributes stay zero
+    buf.writeUInt32LE(Math.min(file.offset, ZIP64_LIMIT), 42);
+    file.name.copy(buf, 46);
+    if (file.centralZip64) {
+        let pos = 46 + file.name.length;
+        buf.writeUInt16LE(0x0001, pos);
+        buf.writeUInt16LE(file.centralExtraSize - 4, pos + 2);
+        pos += 4;
+        if (file.zip64) {
+            buf.writeBigUInt64LE(BigInt(file.entry.size), pos);
+            buf.writeBigUInt64LE(BigInt(file.entry.size), pos + 8);
+            pos += 16;
+        }
+        if (file.offset >= ZIP64_LIMIT) {
+            buf.writeBigUInt64LE(BigInt(file.offset), pos);
+        }
+    }
+    return buf;
+}
+
+function endRecords({ files, centralOffset, centralSize, zip64End }) {
+    const parts = [];
+    if (zip64End) {
+        const record = Buffer.alloc(56);
+        record.writeUInt32LE(0x06064b50, 0);
+        record.writeBigUInt64LE(44n, 4);
+        record.writeUInt16LE(VERSION, 12);
+        record.writeUInt16LE(VERSION, 14);
+        record.writeBigUInt64LE(BigInt(files.length), 24);
+        record.writeBigUInt64LE(BigInt(files.length), 32);
+        record.writeBigUInt64LE(BigInt(centralSize), 40);
+        record.writeBigUInt64LE(BigInt(centralOffset), 48);
+
+        const locator = Buffer.alloc(20);
+        locator.writeUInt32LE(0x07064b50, 0);
+        locator.writeBigUInt64LE(BigInt(centralOffset + centralSize), 8);
+        locator.writeUInt32LE(1, 16);
+        parts.push(record, locator);
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Math.min(files.length, 0xFFFF), 8);
+    end.writeUInt16LE(Math.min(files.length, 0xFFFF), 10);
+    end.writeUInt32LE(Math.min(centralSize, ZIP64_LIMIT), 12);
+    end.writeUInt32LE(Math.min(centralOffset, ZIP64_LIMIT), 16);
+    parts.push(end);
+    return parts;
+}
+
+// Readable stream of the archive. Each entry is { name, size, date, open() } where open()
+// returns a readable stream of exactly `size` bytes; entries are opened one at a time.
+function createZipStream(entries) {
+    const plan = layout(entries);
+
+    async function* generate() {
+        for (const file of plan.files) {
+            yield localHeader(file);
+            let crc = 0;
+            let written = 0;
+            for await (const chunk of file.entry.open()) {
+                crc = crc32(chunk, crc);
+                written += chunk.length;
+                yield chunk;
+            }
+            if (written !== file.entry.size) {
+                throw new Error(`${file.entry.name} changed size while zipping`);
+            }
+            file.crc = crc;
+            yield dataDescriptor(file);
+        }
+        for (const file of plan.files) {
+            yield centralHeader(file);
+        }
+        yield* endRecords(plan);
+    }
+
+    return Readable.from(generate(), { objectMode: false });
+}
+
+// Archive-safe entry names: folder paths kept, duplicates numbered like "photo (1).jpg"
+function uniqueNames(names) {
+    const used = new Set();
+    return names.map(name => {
+        let candidate = name;
+        const dot = name.lastIndexOf('.');
+        const slash = name.lastIndexOf('/');
+        const hasExt = dot > slash + 1;
+        const base = hasExt ? name.slice(0, dot) : name;
+        const ext = hasExt ? name.slice(dot) : '';
+        for (let n = 1; used.has(candidate.toLowerCase()); n++) {
+            candidate = `${base} (${n})${ext}`;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    });
+}
+
+module.exports = {
+    createZipStream,
+    zipLength,
+    uniqueNames
+};
@@ -3,12 +3,29 @@ class EaseTransfer {
     constructor() {
         this.ws = null;
         this.deviceId = null;
+        // Kept per tab, so every tab is a device of its own that survives reloads
+        this.deviceToken = sessionStorage.getItem('deviceToken');
         this.sessionCode = null;
+        this.linkToken = null; // long share-link token; works after the short code expires
+        this.codeExpiresAt = null;
+        this.sessionCodeLength = 6;
         this.files = new Map();
+        this.devices = new Map(); // other devices in the session: id -> { id, name, type, ... }
+        this.roster = []; // every device in the session, ourselves included, as the server lists them
+        this.selectedRecipients = new Set(); // empty means everyone
+        this.openFolders = new Set(); // folder groups expanded in the file list
+        this.selectedFiles = new Set(); // ticked in the file list for "Download selected"
+        this.snippetText = new Map(); // text snippet id -> readable text (decrypted when needed)
+        this.thumbnailUrls = new Map(); // file id -> preview image URL (null while decrypting)
         this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 5;
-        this.uploadQueue = [];
+        this.joinRequests = new Map();
+        this.pendingSaves = new Set();
+        this.sessionKey = null; // AES-GCM CryptoKey, shared only through the URL fragment
         this.downloading = new Map();
+        this.localFiles = new Map(); // fileId -> { file, encryption } for files we uploaded
+        this.direct = new DirectTransfers(this);
+        this.viewer = new FileViewer(this);
+        this.uploads = new UploadManager(this);
         
         this.init();
     }
@@ -21,6 +38,26 @@ class EaseTransfer {
         this.checkUrlForSession();
         this.connectWebSocket();
         this.loadUsageStats();
+        this.loadServerInfo();
+    }
+
+    async loadServerInfo() {
+        // Upload limits, so oversized files are caught before they are sent
+        try {
+            const response = await fetch('/api/info');
+            const data = await response.json();
+            this.limits = data.limits;
+            this.expiry = data.expiry;
+            this.networkUrl = data.url;
+            this.renderExpiryChoices();
+            if (data.sessionCodes) {
+                this.sessionCodeLength = data.sessionCodes.length;
+                this.elements.sessionCodeInput.maxLength = this.sessionCodeLength;
+                this.elements.sessionCodeInput.placeholder = `Enter ${this.sessionCodeLength}-character code`;
+            }
+        } catch (err) {
+            console.error('Failed to load server info:', err);
+        }
     }
 
     async loadUsageStats() {
@@ -43,6 +80,109 @@ class EaseTransfer {
         if (sessionFromUrl) {
             this.pendingSessionCode = sessionFromUrl.toUpperCase();
         }
+        // Share links and QR codes carry a long token instead, which keeps working after the code expires
+        const linkFromUrl = urlParams.get('join');
+        if (linkFromUrl) {
+            this.linkToken = linkFromUrl;
+        }
+
+        // The encryption key travels in the fragment so it never reaches the server
+        const hashParams = new URLSearchParams(window.location.hash.slice(1));
+        const keyFromUrl = hashParams.get('key');
+        if (keyFromUrl) {
+            this.importSessionKey(keyFromUrl);
+        }
+    }
+
+    // ---- End-to-end encryption (AES-GCM, one auth tag per 64KB chunk) ----
+
+    get cryptoAvailable() {
+        // WebCrypto only exists in secure contexts (HTTPS or localhost)
+        return !!(window.crypto && window.crypto.subtle);
+    }
+
+    async generateSessionKey() {
+        if (!this.cryptoAvailable) {
+            // Plain http://<lan-ip> pages have no WebCrypto: say so rather than send in the clear silently
+            this.showToast('Files in this session are not encrypted (open the page over HTTPS to encrypt them)', 'error');
+            this.renderEncryptionState();
+            return;
+        }
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+        const raw = new Uint8Array(await crypto.subtle.exportKey('raw', key));
+        await this.importSessionKey(this.toBase64Url(raw));
+    }
+
+    async importSessionKey(encoded) {
+        if (!this.cryptoAvailable) {
+            this.showToast('Encrypted files need HTTPS or localhost to open', 'error');
+            return;
+        }
+        try {
+            const raw = this.fromBase64Url(encoded);
+            this.sessionKey = await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+            this.sessionKeyEncoded = encoded;
+            // Short fingerprint so receivers can tell a wrong key from a tampered file
+            const digest = await crypto.subtle.digest('SHA-256', raw);
+            this.sessionKeyId = this.toBase64Url(new Uint8Array(digest).slice(0, 8));
+            if (this.sessionCode) this.updateSessionUrl();
+            this.renderEncryptionState();
+        } catch (err) {
+            console.error('Invalid session key:', err);
+            this.sessionKey = null;
+            this.showToast('The encryption key in this link is invalid', 'error');
+        }
+    }
+
+    chunkIv(nonce, index) {
+        // 8 random bytes per file + 4-byte chunk index, so chunks can't be reordered
+        const iv = new Uint8Array(12);
+        iv.set(this.fromBase64Url(nonce), 0);
+        new DataView(iv.buffer).setUint32(8, index);
+        return iv;
+    }
+
+    async encryptChunk(data, encryption, index) {
+        return crypto.subtle.encrypt({ name: 'AES-GCM', iv: this.chunkIv(encryption.nonce, index) }, this.sessionKey, data);
+    }
+
+    async decryptBlob(blob, encryption, type) {
+        if (!this.sessionKey) {
+            throw new Error('This file is encrypted. Open the session from its QR link to get the key.');
+        }
+        if (encryption.keyId !== this.sessionKeyId) {
+            throw new Error('Wrong key: this file was encrypted with a different session key.');
+        }
+
+        const packetSize = encryption.chunkSize + 16; // ciphertext + GCM tag
+        const parts = [];
+        let plainSize = 0;
+        for (let i = 0, start = 0; start < blob.size; i++, start += packetSize) {
+            const data = await blob.slice(start, start + packetSize).arrayBuffer();
+            try {
+                const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.chunkIv(encryption.nonce, i) }, this.sessionKey, data);
+                parts.push(plain);
+                plainSize += plain.byteLength;
+            } catch (err) {
+                throw new Error('Decryption failed: the file was corrupted or tampered with.');
+            }
+        }
+        // Missing trailing chunks would otherwise decrypt "successfully"
+        if (plainSize !== encryption.plainSize) {
+            throw new Error('Decryption failed: the file is incomplete or was tampered with.');
+        }
+        return new Blob(parts, { type });
+    }
+
+    toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(b => binary += String.fromCharCode(b));
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    fromBase64Url(encoded) {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, c => c.charCodeAt(0));
     }
 
     setupElements() {
@@ -52,20 +192,34 @@ class EaseTransfer {
             createSession: document.getElementById('createSession'),
             joinSession: document.getElementById('joinSession'),
             sessionCodeInput: document.getElementById('sessionCodeInput'),
+            createPinInput: document.getElementById('createPinInput'),
+            requireApproval: document.getElementById('requireApproval'),
+            joinPinInput: document.getElementById('joinPinInput'),
+            joinRequests: document.getElementById('joinRequests'),
             sessionCode: document.getElementById('sessionCode'),
+            sessionCodeExpiry: document.getElementById('sessionCodeExpiry'),
+            encryptionState: document.getElementById('encryptionState'),
             copyCode: document.getElementById('copyCode'),
             connectionStatus: document.getElementById('connectionStatus'),
             statusDot: document.querySelector('.status-dot'),
             statusText: document.querySelector('.status-text'),
             deviceCount: document.getElementById('deviceCount'),
+            toggleRoster: document.getElementById('toggleRoster'),
+            deviceRoster: document.getElementById('deviceRoster'),
             toggleQR: document.getElementById('toggleQR'),
             qrContainer: document.getElementById('qrContainer'),
             qrCode: document.getElementById('qrCode'),
             uploadZone: document.getElementById('uploadZone'),
             fileInput: document.getElementById('fileInput'),
-            uploadProgress: document.getElementById('uploadProgress'),
-            progressFill: document.getElementById('progressFill'),
-            progressPercent: document.getElementById('progressPercent'),
+            folderInput: document.getElementById('folderInput'),
+            chooseFolder: document.getElementById('chooseFolder'),
+            snippetInput: document.getElementById('snippetInput'),
+            sendSnippet: document.getElementById('sendSnippet'),
+            recipientPicker: document.getElementById('recipientPicker'),
+            transferQueue: document.getElementById('transferQueue'),
+            transferList: document.getElementById('transferList'),
+            uploadConcurrency: document.getElementById('uploadConcurrency'),
+            fileTtl: document.getElementById('fileTtl'),
             filesList: document.getElementById('filesList'),
             fileCount: document.getElementById('fileCount'),
             downloadAll: document.getElementById('downloadAll'),
@@ -119,6 +273,16 @@ class EaseTransfer {
         });
         this.elements.sessionCodeInput.addEventListener('input', (e) => {
             e.target.value = e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, '');
+            // Typing a code means joining by code, not by the link we were opened with
+            this.linkToken = null;
+        });
+        this.elements.joinPinInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.joinSession();
+        });
+        [this.elements.createPinInput, this.elements.joinPinInput].forEach(input => {
+            input.addEventListener('input', (e) => {
+                e.target.value = e.target.value.replace(/\D/g, '');
+            });
         });
 
         // Copy session code
@@ -132,6 +296,18 @@ class EaseTransfer {
             }
         });
 
+        // Device roster; connection times are relative, so refresh them while it's open
+        this.elements.toggleRoster.addEventListener('click', () => {
+            const shown = this.elements.deviceRoster.classList.toggle('show');
+            clearInterval(this.rosterTimer);
+            if (shown) {
+                this.renderRoster();
+                this.rosterTimer = setInterval(() => {
+                    if (!this.renaming) this.renderRoster();
+                }, 30000);
+            }
+        });
+
         // File Upload
         this.elements.uploadZone.addEventListener('dragover', (e) => {
             e.preventDefault();
@@ -142,43 +318,69 @@ class EaseTransfer {
             this.elements.uploadZone.classList.remove('dragover');
         });
 
-        this.elements.uploadZone.addEventListener('drop', (e) => {
+        this.elements.uploadZone.addEventListener('drop', async (e) => {
             e.preventDefault();
             this.elements.uploadZone.classList.remove('dragover');
-            const files = e.dataTransfer.files;
+            // Dropped folders only show up as entries; walk them to keep their structure
+            const entries = Array.from(e.dataTransfer.items || [])
+                .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+                .filter(Boolean);
+            const files = entries.some(entry => entry.isDirectory)
+                ? await this.readDroppedEntries(entries)
+                : e.dataTransfer.files;
             if (files.length > 0) {
                 this.uploadFiles(files);
             }
         });
 
+        // Text snippets: Ctrl/Cmd+Enter sends, plain Enter makes a new line
+        this.elements.sendSnippet.addEventListener('click', () => this.sendSnippet());
+        this.elements.snippetInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.sendSnippet();
+            }
+        });
+
+        // Folder picker, where the browser supports it (not iOS)
+        if ('webkitdirectory' in this.elements.folderInput) {
+            this.elements.chooseFolder.addEventListener('click', () => this.elements.folderInput.click());
+            this.elements.folderInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.uploadFiles(e.target.files);
+                }
+            });
+        } else {
+            this.elements.chooseFolder.style.display = 'none';
+        }
+
         this.elements.fileInput.addEventListener('change', (e) => {
             if (e.target.files.length > 0) {
                 this.uploadFiles(e.target.files);
             }
         });
 
-        // Download All
-        this.elements.downloadAll.addEventListener('click', () => this.downloadAllFiles());
-
-        // Viewer Modal
-        document.getElementById('viewerClose').addEventListener('click', () => this.closeViewer());
-        document.getElementById('viewerModal').querySelector('.viewer-backdrop').addEventListener('click', () => this.closeViewer());
-        document.getElementById('viewerDownload').addEventListener('click', () => {
-            if (this.currentViewFileId) {
-                this.downloadFile(this.currentViewFileId);
-            }
+        // Upload queue: how many files go up at once
+        this.elements.uploadConcurrency.value = this.uploads.concurrency;
+        this.elements.uploadConcurrency.addEventListener('change', (e) => {
+            this.uploads.setConcurrency(parseInt(e.target.value, 10));
         });
 
-        // Escape key to close viewer
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.closeViewer();
-            }
+        // How long new files are kept; remembered for next time
+        this.elements.fileTtl.addEventListener('change', (e) => {
+            localStorage.setItem('fileTtl', e.target.value);
         });
 
+        // Expiry countdowns in the file list tick every second
+        setInterval(() => this.updateCountdowns(), 1000);
+
+        // Download All
+        this.elements.downloadAll.addEventListener('click', () => this.downloadAllFiles());
+
         // Visibility change - reconnect when page becomes visible
         document.addEventListener('visibilitychange', () => {
-            if (document.visibilityState === 'visible' && (!this.ws || this.ws.readyState !== WebSocket.OPEN)) {
+            const connecting = this.ws && (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING);
+            if (document.visibilityState === 'visible' && !connecting) {
                 this.connectWebSocket();
             }
         });
@@ -205,49 +407,180 @@ class EaseTransfer {
             this.deviceType = 'unknown';
             this.deviceName = 'Device';
         }
+
+        // A name the user picked wins over the guess
+        const savedName = localStorage.getItem('deviceName');
+        if (savedName) {
+            this.deviceName = savedName;
+        }
     }
 
     createSession() {
+        const pin = this.elements.createPinInput.value.trim();
+        if (pin && (pin.length < 4 || pin.length > 8)) {
+            this.showToast('PIN must be 4 to 8 digits', 'error');
+            return;
+        }
+
         if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.sessionPin = pin || null;
             this.ws.send(JSON.stringify({
                 type: 'create_session',
                 deviceName: this.deviceName,
-                deviceType: this.deviceType
+                deviceType: this.deviceType,
+                pin: pin || undefined,
+                requireApproval: this.elements.requireApproval.checked
             }));
         }
     }
 
     joinSession() {
+        // Opened from a share link that asked for a PIN: answer it through the link
         const code = this.elements.sessionCodeInput.value.trim().toUpperCase();
-        if (code.length !== 6) {
-            this.showToast('Please enter a 6-character code', 'error');
+        if (!this.linkToken && code.length !== this.sessionCodeLength) {
+            this.showToast(`Please enter a ${this.sessionCodeLength}-character code`, 'error');
             return;
         }
         
         if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+            this.sessionPin = this.elements.joinPinInput.value.trim() || null;
             this.ws.send(JSON.stringify({
                 type: 'join_session',
-                sessionCode: code,
+                ...(this.linkToken ? { linkToken: this.linkToken } : { sessionCode: code }),
+                pin: this.sessionPin || undefined,
                 deviceName: this.deviceName,
                 deviceType: this.deviceType
             }));
         }
     }
 
+    showPinPrompt(sessionCode) {
+        // Session needs a PIN: keep the code and ask for it on the join form
+        this.elements.sessionCodeInput.value = sessionCode || this.elements.sessionCodeInput.value;
+        this.elements.joinPinInput.style.display = 'block';
+        this.elements.joinPinInput.value = '';
+        this.elements.joinPinInput.focus();
+    }
+
+    respondToJoinRequest(deviceId, approved) {
+        this.ws.send(JSON.stringify({
+            type: 'join_response',
+            deviceId,
+            approved
+        }));
+        this.joinRequests.delete(deviceId);
+        this.renderJoinRequests();
+    }
+
+    renderJoinRequests() {
+        const { joinRequests } = this.elements;
+        const requests = Array.from(this.joinRequests.values());
+        joinRequests.style.display = requests.length > 0 ? 'flex' : 'none';
+
+        joinRequests.innerHTML = requests.map(device => `
+            <div class="join-request">
+                <span class="join-request-text"><strong>${this.escapeHtml(device.name)}</strong> wants to join</span>
+                <div class="join-request-actions">
+                    <button class="btn-text btn-reject" data-device-id="${device.id}">Reject</button>
+                    <button class="btn-text btn-accept" data-device-id="${device.id}">Accept</button>
+                </div>
+            </div>
+        `).join('');
+
+        joinRequests.querySelectorAll('.btn-accept').forEach(btn => {
+            btn.addEventListener('click', () => this.respondToJoinRequest(btn.dataset.deviceId, true));
+        });
+        joinRequests.querySelectorAll('.btn-reject').forEach(btn => {
+            btn.addEventListener('click', () => this.respondToJoinRequest(btn.dataset.deviceId, false));
+        });
+    }
+
+    rejoinSession() {
+        // Server didn't keep our place (or we never had one): join by link, which outlives the code,
+        // or else by code
+        const sessionCode = this.sessionCode || this.pendingSessionCode;
+        if (!this.linkToken && !sessionCode) return;
+
+        this.ws.send(JSON.stringify({
+            type: 'join_session',
+            ...(this.linkToken ? { linkToken: this.linkToken } : { sessionCode }),
+            pin: this.sessionPin || undefined,
+            deviceName: this.deviceName,
+            deviceType: this.deviceType
+        }));
+        this.pendingSessionCode = null;
+    }
+
     enterSession(sessionCode) {
         this.sessionCode = sessionCode;
         this.elements.sessionCode.textContent = sessionCode;
         this.elements.sessionScreen.style.display = 'none';
         this.elements.mainContent.style.display = 'flex';
         
-        // Update URL without reloading
-        const newUrl = `${window.location.origin}${window.location.pathname}?session=${sessionCode}`;
-        window.history.replaceState({}, '', newUrl);
+        this.updateSessionUrl();
+        this.renderCodeExpiry();
+        this.renderEncryptionState();
+    }
+
+    // Link token and code expiry from session_created / session_joined
+    setSessionLink(message) {
+        if (message.linkToken) this.linkToken = message.linkToken;
+        this.codeExpiresAt = message.codeExpiresAt || null;
+    }
+
+    updateSessionUrl() {
+        // Update URL without reloading; keep the key in the fragment so a reload can still decrypt.
+        // The link token makes the address bar a share link that works after the code expires
+        window.history.replaceState({}, '', this.sessionLink(`${window.location.origin}${window.location.pathname}`));
+    }
+
+    sessionLink(base) {
+        const keyFragment = this.sessionKeyEncoded ? `#key=${this.sessionKeyEncoded}` : '';
+        const query = this.linkToken ? `join=${this.linkToken}` : `session=${this.sessionCode}`;
+        return this.sessionCode || this.linkToken ? `${base}?${query}${keyFragment}` : base;
+    }
+
+    renderEncryptionState() {
+        const { encryptionState } = this.elements;
+        if (!this.sessionCode) {
+            encryptionState.textContent = '';
+            return;
+        }
+        encryptionState.textContent = this.sessionKey
+            ? 'End-to-end encrypted'
+            : 'Not encrypted: files you send can be read on the server';
+        encryptionState.classList.toggle('unencrypted', !this.sessionKey);
+    }
+
+    codeExpired() {
+        return !!this.codeExpiresAt && new Date(this.codeExpiresAt).getTime() <= Date.now();
+    }
+
+    renderCodeExpiry() {
+        const { sessionCodeExpiry } = this.elements;
+        if (!this.codeExpiresAt) {
+            sessionCodeExpiry.textContent = '';
+            return;
+        }
+        const expired = this.codeExpired();
+        sessionCodeExpiry.textContent = expired
+            ? 'Code expired: share the QR code or link'
+            : `Code works for ${this.uploads.formatDuration((new Date(this.codeExpiresAt).getTime() - Date.now()) / 1000)}`;
+        sessionCodeExpiry.classList.toggle('expired', expired);
     }
 
     copySessionCode() {
+        // Once the code has expired only the link gets anyone in
+        if (this.codeExpired()) {
+            this.copyText(window.location.href).then(() => {
+                this.showToast('Session link copied!', 'success');
+            }).catch(() => {
+                this.showToast('Failed to copy link', 'error');
+            });
+            return;
+        }
         if (this.sessionCode) {
-            navigator.clipboard.writeText(this.sessionCode).then(() => {
+            this.copyText(this.sessionCode).then(() => {
                 this.showToast('Session code copied!', 'success');
             }).catch(() => {
                 this.showToast('Failed to copy code', 'error');
@@ -255,19 +588,45 @@ class EaseTransfer {
         }
     }
 
-    async loadQRCode() {
+    async copyText(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            return navigator.clipboard.writeText(text);
+        }
+        // Plain http:// LAN pages have no Clipboard API; fall back to a hidden textarea
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        document.body.removeChild(textarea);
+        if (!copied) throw new Error('Copy failed');
+    }
+
+    loadQRCode() {
+        // Drawn here (vendor/qrcode.js) rather than by the server, so the key in the link's
+        // fragment never leaves this page. A page opened on localhost links to the network
+        // address instead, which phones can reach
+        const local = ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+        const base = local && this.networkUrl ? this.networkUrl : window.location.origin;
         try {
-            const response = await fetch(`/api/qrcode?session=${this.sessionCode || ''}`);
-            const data = await response.json();
-            this.elements.qrCode.src = data.qrCode;
+            const qr = qrcode(0, 'M');
+            qr.addData(this.sessionLink(`${base}${window.location.pathname}`));
+            qr.make();
+            this.elements.qrCode.src = qr.createDataURL(4, 8);
         } catch (err) {
-            console.error('Failed to load QR code:', err);
+            console.error('Failed to draw QR code:', err);
         }
     }
 
     connectWebSocket() {
+        clearTimeout(this.reconnectTimer);
         const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        const wsUrl = `${protocol}//${window.location.host}`;
+        // The device token lets the server give us back our identity and session
+        const tokenQuery = this.deviceToken ? `?token=${encodeURIComponent(this.deviceToken)}` : '';
+        const wsUrl = `${protocol}//${window.location.host}/${tokenQuery}`;
 
         this.ws = new WebSocket(wsUrl);
         this.ws.binaryType = 'arraybuffer';
@@ -276,17 +635,7 @@ class EaseTransfer {
             console.log('WebSocket connected');
             this.reconnectAttempts = 0;
             this.updateConnectionStatus('connected');
-            
-            // If we have a pending session code from URL, auto-join
-            if (this.pendingSessionCode) {
-                this.ws.send(JSON.stringify({
-                    type: 'join_session',
-                    sessionCode: this.pendingSessionCode,
-                    deviceName: this.deviceName,
-                    deviceType: this.deviceType
-                }));
-                this.pendingSessionCode = null;
-            }
+            // Session rejoin waits for the server's 'identity' message
         };
 
         this.ws.onmessage = (event) => {
@@ -303,14 +652,31 @@ class EaseTransfer {
             }
         };
 
-        this.ws.onclose = () => {
+        this.ws.onclose = (event) => {
             console.log('WebSocket disconnected');
+            this.uploads.releaseAll();
             this.updateConnectionStatus('disconnected');
+
+            // A duplicated tab copies our token and takes over the connection: leave the identity
+            // to it and come back as a new device, rejoining by link or code once we're known
+            if (event.code === 4000) {
+                this.deviceToken = null;
+                sessionStorage.removeItem('deviceToken');
+                this.connectWebSocket();
+                return;
+            }
             
-            if (this.reconnectAttempts < this.maxReconnectAttempts) {
-                this.reconnectAttempts++;
-                setTimeout(() => this.connectWebSocket(), 2000 * this.reconnectAttempts);
+            // Keep trying, backing off to every 30s, so a server restart or redeploy is ridden out;
+            // the server keeps our session and hands it back when we return with our device token
+            this.reconnectAttempts++;
+            let delay = Math.min(2000 * this.reconnectAttempts, 30000);
+            
+            // Cut off for sending too much: give the server's limits time to recover
+            if (event.code === 1008) {
+                this.showToast('Too many requests. Reconnecting in a minute...', 'error');
+                delay = 60000;
             }
+            this.reconnectTimer = setTimeout(() => this.connectWebSocket(), delay);
         };
 
         this.ws.onerror = (error) => {
@@ -328,38 +694,132 @@ class EaseTransfer {
         if (download) {
             download.chunks.push(chunk);
             download.received += chunk.byteLength;
-            
-            // Update progress
-            const progress = Math.round((download.received / download.size) * 100);
-            this.showToast(`Downloading: ${progress}%`, 'info');
+            this.measureThroughput(download, download.received);
+
+            // Hand the server more credit every 256KB so it keeps streaming
+            if (download.received - download.acked >= 256 * 1024) {
+                download.acked = download.received;
+                this.ws.send(JSON.stringify({
+                    type: 'download_ack',
+                    fileId,
+                    received: download.received
+                }));
+            }
+        }
+    }
+
+    measureThroughput(state, totalBytes) {
+        // Smoothed bytes per second, resampled at most every 500ms
+        const now = Date.now();
+        if (!state.rateSampleAt) {
+            state.rateSampleAt = now;
+            state.rateSampleBytes = totalBytes;
+            state.bytesPerSecond = 0;
+            return 0;
+        }
+        const elapsed = now - state.rateSampleAt;
+        if (elapsed >= 500) {
+            const rate = (totalBytes - state.rateSampleBytes) * 1000 / elapsed;
+            state.bytesPerSecond = Math.round(state.bytesPerSecond ? (state.bytesPerSecond + rate) / 2 : rate);
+            state.rateSampleAt = now;
+            state.rateSampleBytes = totalBytes;
         }
+        return state.bytesPerSecond;
     }
 
     handleMessage(message) {
         switch (message.type) {
+            case 'identity':
+                this.deviceId = message.deviceId;
+                this.deviceToken = message.deviceToken;
+                sessionStorage.setItem('deviceToken', message.deviceToken);
+                if (!message.sessionCode) {
+                    this.rejoinSession();
+                }
+                break;
+
             case 'session_created':
                 this.deviceId = message.deviceId;
+                this.setDevices(message.devices || []);
+                this.setSessionLink(message);
                 this.enterSession(message.sessionCode);
+                this.generateSessionKey();
                 this.updateDeviceCount(message.connectedDevices);
                 this.showToast('Session created! Share the code to connect devices.', 'success');
                 break;
 
             case 'session_joined':
                 this.deviceId = message.deviceId;
-                this.enterSession(message.sessionCode);
+                this.setDevices(message.devices || []);
+                this.setSessionLink(message);
                 this.updateDeviceCount(message.connectedDevices);
+                if (this.sessionCode === message.sessionCode) {
+                    this.uploads.resumeAll();
+                    break;
+                }
+                this.enterSession(message.sessionCode);
                 this.showToast('Joined session successfully!', 'success');
                 break;
 
             case 'session_error':
+                this.showToast(message.error, 'error');
+                if (message.code === 'pin_required' || message.code === 'pin_invalid') {
+                    this.showPinPrompt(message.sessionCode);
+                }
+                if (message.code === 'link_invalid') {
+                    // Fall back to typing a code
+                    this.linkToken = null;
+                }
+                break;
+
+            case 'join_pending':
+                this.showToast('Waiting for the host to let you in...', 'info');
+                break;
+
+            case 'rate_limited':
+                // The server dropped a request; a later action will work again
                 this.showToast(message.error, 'error');
                 break;
 
+            case 'error': {
+                // The server refused a message it couldn't accept; one about an upload fails it.
+                // Chunks still in flight when an upload stopped are refused too, and need no toast
+                const upload = this.uploads.find(message);
+                if (message.code === 'upload_not_found' && (!upload || upload.status !== 'uploading')) break;
+                this.showToast(message.error, 'error');
+                if (upload) this.uploads.handleError(message);
+                break;
+            }
+
+            case 'join_request':
+                this.joinRequests.set(message.device.id, message.device);
+                this.renderJoinRequests();
+                this.showToast(`${message.device.name} wants to join`, 'info');
+                break;
+
+            case 'join_request_cancelled':
+                this.joinRequests.delete(message.deviceId);
+                this.renderJoinRequests();
+                break;
+
+            case 'host_changed':
+                this.showToast('You are now the host of this session', 'info');
+                break;
+
             case 'device_joined':
                 this.updateDeviceCount(message.totalDevices);
                 this.showToast(`${message.device.name} connected`, 'info');
                 break;
 
+            case 'device_reconnected':
+                this.updateDeviceCount(message.totalDevices);
+                this.showToast(`${message.device.name} reconnected`, 'info');
+                break;
+
+            case 'device_list':
+                this.setDevices(message.devices);
+                break;
+
             case 'device_left':
                 this.updateDeviceCount(message.totalDevices);
                 break;
@@ -367,32 +827,78 @@ class EaseTransfer {
             case 'new_file':
                 this.files.set(message.file.id, message.file);
                 this.renderFiles();
-                this.showToast(`New file: ${message.file.originalName}`, 'success');
+                this.showToast(message.file.kind === 'text' ? 'New text shared' : `New file: ${message.file.originalName}`, 'success');
+                break;
+
+            case 'file_expiry': {
+                // Pinned or unpinned by someone in the session
+                const file = this.files.get(message.fileId);
+                if (file) {
+                    file.pinned = message.pinned;
+                    file.expiresAt = message.expiresAt;
+                    this.renderFiles();
+                }
+                break;
+            }
+
+            case 'file_expiring': {
+                const file = this.files.get(message.fileId);
+                if (file) {
+                    const name = file.kind === 'text' ? 'A text snippet' : file.originalName;
+                    this.showToast(`${name} will be deleted in ${this.formatTimeLeft(message.expiresAt)}. Pin it to keep it.`, 'info');
+                }
+                break;
+            }
+
+            case 'text_sent':
+                this.files.set(message.file.id, message.file);
+                this.renderFiles();
                 break;
 
-            case 'existing_files':
+            case 'existing_files': {
                 message.files.forEach(f => this.files.set(f.id, f));
+                // Our uploads that were deleted or expired while we were away are no longer offered to peers
+                const listed = new Set(message.files.map(f => f.id));
+                this.localFiles.forEach((local, id) => {
+                    if (!listed.has(id)) this.localFiles.delete(id);
+                });
                 this.renderFiles();
                 break;
+            }
 
             case 'file_removed':
                 this.files.delete(message.fileId);
+                this.localFiles.delete(message.fileId);
+                this.forgetPreview(message.fileId);
                 this.renderFiles();
                 break;
 
             case 'file_start_ack':
                 // Server confirmed file upload start, begin sending chunks
-                this.sendFileChunks(message.fileId, message.fileName);
+                this.uploads.handleStartAck(message);
+                break;
+
+            case 'upload_resume_ack':
+                // Continue from the last byte the server received
+                this.uploads.handleResumeAck(message);
+                break;
+
+            case 'upload_resume_failed':
+                // Server no longer has the partial upload, start it over
+                this.uploads.handleResumeFailed(message);
+                break;
+
+            case 'upload_error':
+                this.showToast(`${message.fileName}: ${message.error}`, 'error');
+                this.uploads.handleError(message);
                 break;
 
             case 'upload_progress':
-                this.updateProgress(message.progress);
+                this.uploads.handleProgress(message);
                 break;
 
             case 'file_complete_ack':
-                this.hideUploadProgress();
-                this.showToast('File uploaded!', 'success');
-                this.processUploadQueue();
+                this.uploads.handleComplete(message);
                 break;
 
             case 'file_download_start':
@@ -402,7 +908,7 @@ class EaseTransfer {
                     mimeType: message.mimeType,
                     chunks: [],
                     received: 0,
-                    forPreview: this.viewMode
+                    acked: 0
                 });
                 break;
 
@@ -410,6 +916,14 @@ class EaseTransfer {
                 this.completeDownload(message.fileId);
                 break;
 
+            case 'download_url':
+                this.startBrowserDownload(message.url);
+                break;
+
+            case 'rtc_signal':
+                this.direct.handleSignal(message.fromId, message.signal);
+                break;
+
             case 'pong':
                 break;
         }
@@ -438,126 +952,332 @@ class EaseTransfer {
         this.elements.deviceCount.textContent = count;
     }
 
-    async uploadFiles(fileList) {
-        const files = Array.from(fileList);
-        if (files.length === 0) return;
+    setDevices(devices) {
+        this.roster = devices;
+        this.devices = new Map(devices.filter(d => d.id !== this.deviceId).map(d => [d.id, d]));
+        this.selectedRecipients.forEach(id => {
+            if (!this.devices.has(id)) this.selectedRecipients.delete(id);
+        });
+        this.updateDeviceCount(devices.length);
+        this.renderRecipientPicker();
+        this.renderRoster();
+    }
 
-        // Add to queue
-        this.uploadQueue.push(...files);
-        
-        // Start processing if not already
-        if (this.uploadQueue.length === files.length) {
-            this.processUploadQueue();
+    renderRoster() {
+        const { deviceRoster } = this.elements;
+        if (!deviceRoster.classList.contains('show')) return;
+
+        deviceRoster.innerHTML = this.roster.map(device => {
+            const isSelf = device.id === this.deviceId;
+            const name = isSelf && this.renaming
+                ? `<input type="text" class="session-input roster-rename" maxlength="40" value="${this.escapeHtml(device.name)}">`
+                : `<div class="roster-name">
+                        ${this.escapeHtml(device.name)}${isSelf ? ' <span class="roster-you">(you)</span>' : ''}
+                        ${device.isHost ? '<span class="roster-badge">Host</span>' : ''}
+                   </div>`;
+            return `
+                <div class="roster-item${device.online === false ? ' offline' : ''}">
+                    <div class="roster-icon">${this.getDeviceIconHTML(device.type)}</div>
+                    <div class="roster-info">
+                        ${name}
+                        <div class="roster-meta">${device.online === false ? 'Reconnecting...' : `Connected ${this.formatTimeAgo(device.connectedAt)}`}</div>
+                    </div>
+                    ${isSelf && !this.renaming ? '<button class="btn-text roster-rename-btn">Rename</button>' : ''}
+                </div>
+            `;
+        }).join('');
+
+        const renameBtn = deviceRoster.querySelector('.roster-rename-btn');
+        if (renameBtn) {
+            renameBtn.addEventListener('click', () => {
+                this.renaming = true;
+                this.renderRoster();
+            });
+        }
+
+        const input = deviceRoster.querySelector('.roster-rename');
+        if (input) {
+            input.focus();
+            input.select();
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.renameDevice(input.value);
+                if (e.key === 'Escape') {
+                    e.stopPropagation();
+                    this.renaming = false;
+                    this.renderRoster();
+                }
+            });
+            input.addEventListener('blur', () => this.renameDevice(input.value));
         }
     }
 
-    processUploadQueue() {
-        if (this.uploadQueue.length === 0) {
-            this.elements.fileInput.value = '';
-            return;
+    renameDevice(value) {
+        // Enter and the blur that follows both land here; only the first counts
+        if (!this.renaming) return;
+        this.renaming = false;
+
+        const name = value.replace(/\s+/g, ' ').trim().slice(0, 40);
+        if (name && name !== this.deviceName) {
+            this.deviceName = name;
+            localStorage.setItem('deviceName', name);
+            this.ws.send(JSON.stringify({
+                type: 'rename_device',
+                name
+            }));
         }
+        this.renderRoster();
+    }
 
-        const file = this.uploadQueue.shift();
-        this.currentUploadFile = file;
-        
-        this.showUploadProgress();
-        this.updateProgress(0);
+    getDeviceIconHTML(type) {
+        if (type === 'iphone' || type === 'android') {
+            return `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="5" y="2" width="14" height="20" rx="2"/>
+                <line x1="12" y1="18" x2="12.01" y2="18"/>
+            </svg>`;
+        }
+        return `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <rect x="2" y="3" width="20" height="14" rx="2"/>
+            <line x1="8" y1="21" x2="16" y2="21"/>
+            <line x1="12" y1="17" x2="12" y2="21"/>
+        </svg>`;
+    }
 
-        // Tell server we're starting a file upload
-        this.ws.send(JSON.stringify({
-            type: 'file_start',
-            fileName: file.name,
-            fileSize: file.size,
-            mimeType: file.type || 'application/octet-stream'
-        }));
+    formatTimeAgo(isoTime) {
+        const seconds = Math.max(0, Math.floor((Date.now() - new Date(isoTime).getTime()) / 1000));
+        if (seconds < 60) return 'just now';
+        if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+        return `on ${new Date(isoTime).toLocaleDateString()}`;
     }
 
-    async sendFileChunks(fileId, fileName) {
-        const file = this.currentUploadFile;
-        if (!file) return;
+    renderExpiryChoices() {
+        // Lifetimes the server allows, plus pinning; the last choice is kept if still offered
+        const { fileTtl } = this.elements;
+        if (!this.expiry) return;
+        const { minMinutes, maxMinutes, defaultMinutes } = this.expiry;
+        const minutes = [10, 30, 60, 180, 720, 1440, defaultMinutes]
+            .filter((m, i, all) => m >= minMinutes && m <= maxMinutes && all.indexOf(m) === i)
+            .sort((a, b) => a - b);
+
+        fileTtl.innerHTML = minutes.map(m => `<option value="${m}">${m < 60 ? `${m} min` : `${m / 60} h`}</option>`).join('') +
+            '<option value="pinned">Until session ends</option>';
+        const saved = localStorage.getItem('fileTtl');
+        fileTtl.value = saved && fileTtl.querySelector(`option[value="${saved}"]`) ? saved : String(defaultMinutes);
+    }
 
-        const chunkSize = 64 * 1024; // 64KB chunks
-        const totalChunks = Math.ceil(file.size / chunkSize);
-        
-        for (let i = 0; i < totalChunks; i++) {
-            const start = i * chunkSize;
-            const end = Math.min(start + chunkSize, file.size);
-            const chunk = file.slice(start, end);
-            const chunkData = await chunk.arrayBuffer();
-            
-            // Create packet: fileId (36 bytes) + chunk data
-            const header = new TextEncoder().encode(fileId.padEnd(36));
-            const packet = new Uint8Array(header.length + chunkData.byteLength);
-            packet.set(header, 0);
-            packet.set(new Uint8Array(chunkData), header.length);
-            
-            this.ws.send(packet);
-            
-            // Small delay to prevent overwhelming
-            if (i % 10 === 0) {
-                await new Promise(r => setTimeout(r, 5));
-            }
-        }
+    expiryChoice() {
+        // What to send with a new file or snippet: { ttlMinutes } or { pinned: true }
+        const value = this.elements.fileTtl.value;
+        if (!value) return {};
+        return value === 'pinned' ? { pinned: true } : { ttlMinutes: parseInt(value, 10) };
+    }
 
-        // Tell server upload is complete
+    expiryHTML(file) {
+        if (file.pinned) return '<span class="file-expiry pinned">Pinned</span>';
+        if (!file.expiresAt) return '';
+        return `<span class="file-expiry" data-expires-at="${file.expiresAt}">${this.formatTimeLeft(file.expiresAt)}</span>`;
+    }
+
+    formatTimeLeft(isoTime) {
+        const seconds = (new Date(isoTime).getTime() - Date.now()) / 1000;
+        return seconds > 0 ? `${this.uploads.formatDuration(seconds)} left` : 'Expiring...';
+    }
+
+    updateCountdowns() {
+        if (this.sessionCode) this.renderCodeExpiry();
+        // Only the countdown text changes, so leave the rest of the list alone
+        this.elements.filesList.querySelectorAll('.file-expiry[data-expires-at]').forEach(el => {
+            const expiresAt = el.dataset.expiresAt;
+            el.textContent = this.formatTimeLeft(expiresAt);
+            el.classList.toggle('soon', new Date(expiresAt).getTime() - Date.now() < 2 * 60 * 1000);
+        });
+    }
+
+    pinFile(fileId) {
+        const file = this.files.get(fileId);
+        if (!file || !this.ws || this.ws.readyState !== WebSocket.OPEN) return;
         this.ws.send(JSON.stringify({
-            type: 'file_complete',
-            fileId
+            type: 'pin_file',
+            fileId,
+            pinned: !file.pinned
         }));
     }
 
-    completeDownload(fileId) {
-        const download = this.downloading.get(fileId);
-        if (!download) return;
+    renderRecipientPicker() {
+        // "Send to" chips: nothing selected means the whole session
+        const { recipientPicker } = this.elements;
+        const devices = Array.from(this.devices.values());
+        recipientPicker.style.display = devices.length > 0 ? 'flex' : 'none';
 
-        // Combine chunks into blob
-        const blob = new Blob(download.chunks.map(c => new Uint8Array(c)), { 
-            type: download.mimeType 
+        const chip = (id, name, selected) => `
+            <button class="recipient-chip${selected ? ' selected' : ''}" data-device-id="${id}">${this.escapeHtml(name)}</button>
+        `;
+        recipientPicker.innerHTML = `
+            <span class="recipient-label">Send to</span>
+            ${chip('', 'Everyone', this.selectedRecipients.size === 0)}
+            ${devices.map(d => chip(d.id, d.name, this.selectedRecipients.has(d.id))).join('')}
+        `;
+
+        recipientPicker.querySelectorAll('.recipient-chip').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const id = btn.dataset.deviceId;
+                if (!id) {
+                    this.selectedRecipients.clear();
+                } else if (!this.selectedRecipients.delete(id)) {
+                    this.selectedRecipients.add(id);
+                }
+                this.renderRecipientPicker();
+            });
         });
-        
-        // Check if this is for preview or download
-        if (download.forPreview) {
-            this.showViewer(fileId, blob);
-            this.downloading.delete(fileId);
-            return;
-        }
+    }
 
-        // Trigger download
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = download.fileName;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+    recipientNames(file) {
+        // "Sent to" label for files meant for particular devices
+        if (!file.recipients) return '';
+        if (file.uploaderId !== this.deviceId) return 'Sent to you';
+        return `Sent to ${file.recipients.map(r => (this.devices.get(r.id) || r).name).join(', ')}`;
+    }
 
-        this.downloading.delete(fileId);
-        this.showToast('Download complete!', 'success');
+    uploadFiles(fileList) {
+        // Items are Files (folder picks carry webkitRelativePath) or { file, relativePath } from a drop
+        const items = Array.from(fileList)
+            .map(item => item instanceof File ? { file: item, relativePath: item.webkitRelativePath || '' } : item)
+            .filter(item => this.checkUploadLimits(item.file));
+        this.elements.fileInput.value = '';
+        this.elements.folderInput.value = '';
+        if (items.length > 0) {
+            this.uploads.add(items, Array.from(this.selectedRecipients), this.expiryChoice());
+        }
     }
 
-    showUploadProgress() {
-        this.elements.uploadProgress.classList.add('show');
-        this.updateProgress(0);
+    async readDroppedEntries(entries, prefix = '') {
+        // Flatten dropped files and folders into { file, relativePath }
+        const results = [];
+        for (const entry of entries) {
+            if (entry.isFile) {
+                const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+                results.push({ file, relativePath: prefix ? `${prefix}${entry.name}` : '' });
+            } else if (entry.isDirectory) {
+                // readEntries hands back directory contents in batches until it returns none
+                const reader = entry.createReader();
+                const children = [];
+                let batch;
+                do {
+                    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    children.push(...batch);
+                } while (batch.length > 0);
+                results.push(...await this.readDroppedEntries(children, `${prefix}${entry.name}/`));
+            }
+        }
+        return results;
     }
 
-    hideUploadProgress() {
-        setTimeout(() => {
-            this.elements.uploadProgress.classList.remove('show');
-        }, 500);
+    checkUploadLimits(file) {
+        // Mirrors the server's checks; the server still has the final say
+        if (!this.limits) return true;
+
+        // Encrypted uploads carry a 16-byte tag per 64KB chunk
+        const storedSize = this.sessionKey ? file.size + Math.ceil(file.size / (64 * 1024)) * 16 : file.size;
+        if (storedSize > this.limits.maxFileBytes) {
+            this.showToast(`${file.name} is too large (max ${this.formatFileSize(this.limits.maxFileBytes)})`, 'error');
+            return false;
+        }
+
+        let sessionBytes = 0;
+        this.files.forEach(f => sessionBytes += f.size);
+        if (sessionBytes + storedSize > this.limits.maxSessionBytes) {
+            this.showToast(`Not enough space in this session for ${file.name}`, 'error');
+            return false;
+        }
+        return true;
     }
 
-    updateProgress(percent) {
-        this.elements.progressFill.style.width = `${percent}%`;
-        this.elements.progressPercent.textContent = `${percent}%`;
+    async readUploadChunk(file, encryption, index) {
+        // 64KB of the file, encrypted when the upload is
+        const chunkSize = 64 * 1024;
+        const start = index * chunkSize;
+        const chunkData = await file.slice(start, Math.min(start + chunkSize, file.size)).arrayBuffer();
+        return encryption ? this.encryptChunk(chunkData, encryption, index) : chunkData;
+    }
+
+    async completeDownload(fileId) {
+        const download = this.downloading.get(fileId);
+        if (!download) return;
+        this.downloading.delete(fileId);
+
+        // Check what we received against the checksum the server recorded
+        const file = this.files.get(fileId);
+        if (file && file.sha256) {
+            const hasher = new Sha256();
+            download.chunks.forEach(c => hasher.update(c));
+            if (hasher.hex() !== file.sha256) {
+                file.corrupt = true;
+                this.renderFiles();
+                this.pendingSaves.delete(fileId);
+                this.showToast(`${file.originalName} failed its integrity check`, 'error');
+                this.viewer.fail(fileId, 'This file failed its integrity check');
+                return;
+            }
+        }
+
+        // Combine chunks into blob for the preview (plain saves go through startBrowserDownload)
+        let blob = new Blob(download.chunks.map(c => new Uint8Array(c)), { 
+            type: download.mimeType 
+        });
+
+        if (file && file.encryption) {
+            try {
+                blob = await this.decryptBlob(blob, file.encryption, download.mimeType);
+            } catch (err) {
+                this.pendingSaves.delete(fileId);
+                this.showToast(err.message, 'error');
+                this.viewer.fail(fileId, err.message);
+                return;
+            }
+        }
+
+        if (this.pendingSaves.delete(fileId)) {
+            this.saveBlob(blob, download.fileName);
+            return;
+        }
+        
+        this.viewer.show(fileId, blob);
+    }
+
+    saveBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        this.showToast('Download complete!', 'success');
+    }
+
+    startBrowserDownload(url) {
+        // Let the browser's download manager fetch the signed link (Content-Disposition: attachment)
+        const link = document.createElement('a');
+        link.href = url;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
     }
 
     renderFiles() {
         const { filesList, fileCount, downloadAll } = this.elements;
         const filesArray = Array.from(this.files.values());
         
+        // Forget ticks on files that have gone away
+        this.selectedFiles.forEach(id => {
+            if (!this.files.has(id)) this.selectedFiles.delete(id);
+        });
+
         fileCount.textContent = filesArray.length;
-        downloadAll.style.display = filesArray.length > 1 ? 'block' : 'none';
+        const selected = this.selectedFiles.size;
+        downloadAll.style.display = filesArray.filter(f => f.kind !== 'text').length > 1 || selected > 0 ? 'block' : 'none';
+        downloadAll.textContent = selected > 0 ? `Download ${selected} selected` : 'Download all';
 
         if (filesArray.length === 0) {
             filesList.innerHTML = `
@@ -572,35 +1292,125 @@ class EaseTransfer {
             return;
         }
 
-        filesList.innerHTML = filesArray.map(file => this.createFileItemHTML(file)).join('');
+        // Files from folder uploads are grouped under their top-level folder
+        const folders = new Map();
+        const looseFiles = [];
+        filesArray.forEach(file => {
+            if (file.kind === 'text' || !file.relativePath) {
+                looseFiles.push(file);
+                return;
+            }
+            const folder = file.relativePath.split('/')[0];
+            if (!folders.has(folder)) folders.set(folder, []);
+            folders.get(folder).push(file);
+        });
+
+        filesList.innerHTML = [
+            ...Array.from(folders.entries()).map(([folder, files]) => this.createFolderItemHTML(folder, files)),
+            ...looseFiles.map(file => this.createFileItemHTML(file))
+        ].join('');
+
+        filesList.querySelectorAll('.folder-header').forEach(header => {
+            header.addEventListener('click', () => {
+                const folder = header.dataset.folder;
+                if (!this.openFolders.delete(folder)) this.openFolders.add(folder);
+                this.renderFiles();
+            });
+        });
+
+        filesList.querySelectorAll('.file-select').forEach(box => {
+            box.addEventListener('click', (e) => e.stopPropagation());
+            box.addEventListener('change', () => {
+                // A folder's box ticks or clears every file in it
+                const ids = box.dataset.folder
+                    ? filesArray.filter(f => f.relativePath && f.relativePath.split('/')[0] === box.dataset.folder).map(f => f.id)
+                    : [box.dataset.fileId];
+                ids.forEach(id => box.checked ? this.selectedFiles.add(id) : this.selectedFiles.delete(id));
+                this.renderFiles();
+            });
+        });
+
+        filesList.querySelectorAll('.btn-copy').forEach(btn => {
+            btn.addEventListener('click', () => this.copySnippet(btn.dataset.fileId));
+        });
+
+        filesList.querySelectorAll('.btn-zip').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.downloadFolder(btn.dataset.folder);
+            });
+        });
 
         filesList.querySelectorAll('.btn-view').forEach(btn => {
-            btn.addEventListener('click', () => this.viewFile(btn.dataset.fileId));
+            btn.addEventListener('click', () => this.viewer.open(btn.dataset.fileId));
         });
 
         filesList.querySelectorAll('.btn-download').forEach(btn => {
             btn.addEventListener('click', () => this.downloadFile(btn.dataset.fileId));
         });
 
+        filesList.querySelectorAll('.btn-pin').forEach(btn => {
+            btn.addEventListener('click', () => this.pinFile(btn.dataset.fileId));
+        });
+
         filesList.querySelectorAll('.btn-delete').forEach(btn => {
             btn.addEventListener('click', () => this.deleteFile(btn.dataset.fileId));
         });
     }
 
+    createFolderItemHTML(folder, files) {
+        const open = this.openFolders.has(folder);
+        let size = 0;
+        files.forEach(f => size += f.encryption ? f.encryption.plainSize : f.size);
+        const sorted = files.slice().sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+        const allSelected = files.every(f => this.selectedFiles.has(f.id));
+
+        return `
+            <div class="folder-group${open ? ' open' : ''}">
+                <div class="file-item folder-header" data-folder="${this.escapeHtml(folder)}">
+                    <input type="checkbox" class="file-select" data-folder="${this.escapeHtml(folder)}"${allSelected ? ' checked' : ''} aria-label="Select folder">
+                    <div class="file-icon folder">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M22 19a2 2 0 01-2 2H4a2 2 0 01-2-2V5a2 2 0 012-2h5l2 3h9a2 2 0 012 2z"/>
+                        </svg>
+                    </div>
+                    <div class="file-info">
+                        <div class="file-name">${this.escapeHtml(folder)}</div>
+                        <div class="file-meta">${files.length} file${files.length === 1 ? '' : 's'} · ${this.formatFileSize(size)}</div>
+                    </div>
+                    <div class="file-actions">
+                        <button class="btn-zip" data-folder="${this.escapeHtml(folder)}" title="Download folder as .zip">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4"/>
+                                <polyline points="7,10 12,15 17,10"/>
+                                <line x1="12" y1="15" x2="12" y2="3"/>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+                ${open ? `<div class="folder-files">${sorted.map(file => this.createFileItemHTML(file)).join('')}</div>` : ''}
+            </div>
+        `;
+    }
+
     createFileItemHTML(file) {
+        if (file.kind === 'text') return this.createTextItemHTML(file);
+
         const fileType = this.getFileType(file.mimetype);
-        const fileSize = this.formatFileSize(file.size);
+        // Encrypted files are stored with an extra tag per chunk; show the real size
+        const fileSize = this.formatFileSize(file.encryption ? file.encryption.plainSize : file.size);
         const iconHTML = this.getFileIconHTML(fileType, file);
-        const canPreview = fileType === 'image' || fileType === 'video';
+        const canPreview = this.viewer.previewKind(file) !== null;
 
         return `
-            <div class="file-item" data-file-id="${file.id}">
+            <div class="file-item${file.corrupt ? ' corrupt' : ''}" data-file-id="${file.id}">
+                <input type="checkbox" class="file-select" data-file-id="${file.id}"${this.selectedFiles.has(file.id) ? ' checked' : ''} aria-label="Select file">
                 <div class="file-icon ${fileType}">
                     ${iconHTML}
                 </div>
                 <div class="file-info">
-                    <div class="file-name">${this.escapeHtml(file.originalName)}</div>
-                    <div class="file-meta">${fileSize}</div>
+                    <div class="file-name">${this.escapeHtml(file.relativePath ? file.relativePath.split('/').slice(1).join('/') : file.originalName)}</div>
+                    <div class="file-meta">${fileSize}${file.encryption ? ' · Encrypted' : ''}${file.recipients ? ` · ${this.escapeHtml(this.recipientNames(file))}` : ''}${file.corrupt ? ' · <span class="file-corrupt">Corrupt</span>' : ''} · ${this.expiryHTML(file)}</div>
                 </div>
                 <div class="file-actions">
                     ${canPreview ? `
@@ -611,6 +1421,12 @@ class EaseTransfer {
                         </svg>
                     </button>
                     ` : ''}
+                    <button class="btn-pin${file.pinned ? ' active' : ''}" data-file-id="${file.id}" title="${file.pinned ? 'Unpin' : 'Keep until the session ends'}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="12" y1="17" x2="12" y2="22"/>
+                            <path d="M5 17h14v-1.76a2 2 0 00-1.11-1.79l-1.78-.9A2 2 0 0115 10.76V6h1a2 2 0 000-4H8a2 2 0 000 4h1v4.76a2 2 0 01-1.11 1.79l-1.78.9A2 2 0 005 15.24z"/>
+                        </svg>
+                    </button>
                     <button class="btn-download" data-file-id="${file.id}" data-url="${file.downloadUrl}" data-name="${this.escapeHtml(file.originalName)}">
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4"/>
@@ -629,6 +1445,115 @@ class EaseTransfer {
         `;
     }
 
+    createTextItemHTML(file) {
+        const text = this.readSnippet(file);
+        const meta = [
+            new Date(file.uploadedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+            file.encryption ? 'Encrypted' : '',
+            file.recipients ? this.escapeHtml(this.recipientNames(file)) : '',
+            this.expiryHTML(file)
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <div class="file-item text-item" data-file-id="${file.id}">
+                <div class="file-icon text">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="17" y1="10" x2="3" y2="10"/>
+                        <line x1="21" y1="6" x2="3" y2="6"/>
+                        <line x1="21" y1="14" x2="3" y2="14"/>
+                        <line x1="17" y1="18" x2="3" y2="18"/>
+                    </svg>
+                </div>
+                <div class="file-info">
+                    <div class="text-content${text === null ? ' pending' : ''}">${text === null ? 'Decrypting...' : this.escapeHtml(text)}</div>
+                    <div class="file-meta">${meta}</div>
+                </div>
+                <div class="file-actions">
+                    <button class="btn-copy" data-file-id="${file.id}" title="Copy"${text === null ? ' disabled' : ''}>
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <rect x="9" y="9" width="13" height="13" rx="2"/>
+                            <path d="M5 15H4a2 2 0 01-2-2V4a2 2 0 012-2h9a2 2 0 012 2v1"/>
+                        </svg>
+                        Copy
+                    </button>
+                    <button class="btn-pin${file.pinned ? ' active' : ''}" data-file-id="${file.id}" title="${file.pinned ? 'Unpin' : 'Keep until the session ends'}">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="12" y1="17" x2="12" y2="22"/>
+                            <path d="M5 17h14v-1.76a2 2 0 00-1.11-1.79l-1.78-.9A2 2 0 0115 10.76V6h1a2 2 0 000-4H8a2 2 0 000 4h1v4.76a2 2 0 01-1.11 1.79l-1.78.9A2 2 0 005 15.24z"/>
+                        </svg>
+                    </button>
+                    <button class="btn-delete" data-file-id="${file.id}" title="Remove">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="3 6 5 6 21 6"/>
+                            <path d="M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
+                        </svg>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    readSnippet(file) {
+        // Readable text of a snippet, or null while an encrypted one is being decrypted
+        if (!file.encryption) return file.text;
+        if (this.snippetText.has(file.id)) return this.snippetText.get(file.id);
+
+        this.snippetText.set(file.id, null);
+        const blob = new Blob([this.fromBase64Url(file.text)]);
+        this.decryptBlob(blob, file.encryption, 'text/plain')
+            .then(plain => plain.text())
+            .catch(err => `[${err.message}]`)
+            .then(text => {
+                this.snippetText.set(file.id, text);
+                this.renderFiles();
+            });
+        return null;
+    }
+
+    async sendSnippet() {
+        const text = this.elements.snippetInput.value;
+        if (!text.trim()) return;
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            this.showToast('Not connected', 'error');
+            return;
+        }
+
+        // Encrypted like a one-chunk file, so peers decrypt it with the same key
+        let payload = text;
+        let encryption = null;
+        if (this.sessionKey) {
+            const plain = new TextEncoder().encode(text);
+            encryption = {
+                alg: 'AES-GCM',
+                keyId: this.sessionKeyId,
+                nonce: this.toBase64Url(crypto.getRandomValues(new Uint8Array(8))),
+                chunkSize: plain.byteLength,
+                plainSize: plain.byteLength
+            };
+            payload = this.toBase64Url(new Uint8Array(await this.encryptChunk(plain, encryption, 0)));
+        }
+
+        this.ws.send(JSON.stringify({
+            type: 'send_text',
+            text: payload,
+            encryption,
+            recipients: this.selectedRecipients.size > 0 ? Array.from(this.selectedRecipients) : undefined,
+            ...this.expiryChoice()
+        }));
+        this.elements.snippetInput.value = '';
+    }
+
+    copySnippet(fileId) {
+        const file = this.files.get(fileId);
+        const text = file && this.readSnippet(file);
+        if (text === null || text === undefined) return;
+        this.copyText(text).then(() => {
+            this.showToast('Copied!', 'success');
+        }).catch(() => {
+            this.showToast('Failed to copy text', 'error');
+        });
+    }
+
     getFileType(mimetype) {
         if (!mimetype) return 'other';
         if (mimetype.startsWith('image/')) return 'image';
@@ -641,6 +1566,11 @@ class EaseTransfer {
     }
 
     getFileIconHTML(fileType, file) {
+        const thumbnail = file && file.thumbnail && this.thumbnailUrl(file);
+        if (thumbnail) {
+            return `<img class="file-thumbnail" src="${thumbnail}" alt="">`;
+        }
+
         const icons = {
             image: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><polyline points="21 15 16 10 5 21"/></svg>',
             video: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="5 3 19 12 5 21 5 3"/></svg>',
@@ -651,6 +1581,103 @@ class EaseTransfer {
         return icons[fileType] || icons.other;
     }
 
+    thumbnailUrl(file) {
+        // Preview image for the list; encrypted ones are decrypted once, then re-rendered
+        if (this.thumbnailUrls.has(file.id)) return this.thumbnailUrls.get(file.id);
+
+        const { type, data, encryption } = file.thumbnail;
+        if (!encryption) {
+            const url = `data:${type};base64,${data.replace(/-/g, '+').replace(/_/g, '/')}`;
+            this.thumbnailUrls.set(file.id, url);
+            return url;
+        }
+
+        this.thumbnailUrls.set(file.id, null);
+        this.decryptBlob(new Blob([this.fromBase64Url(data)]), encryption, type)
+            .then(blob => {
+                this.thumbnailUrls.set(file.id, URL.createObjectURL(blob));
+                this.renderFiles();
+            })
+            .catch(() => {}); // no key or a different one: keep the generic icon
+        return null;
+    }
+
+    forgetPreview(fileId) {
+        const url = this.thumbnailUrls.get(fileId);
+        if (url && url.startsWith('blob:')) URL.revokeObjectURL(url);
+        this.thumbnailUrls.delete(fileId);
+        this.snippetText.delete(fileId);
+    }
+
+    async createThumbnail(file) {
+        // Small JPEG preview drawn by the sender's browser; null when it can't decode the file
+        const fileType = this.getFileType(file.type);
+        if (fileType !== 'image' && fileType !== 'video') return null;
+
+        let frame = null;
+        try {
+            frame = fileType === 'image'
+                ? await this.decodeImage(file)
+                : await this.capturePosterFrame(file);
+
+            const maxSide = 160;
+            const scale = Math.min(1, maxSide / Math.max(frame.width, frame.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(frame.width * scale));
+            canvas.height = Math.max(1, Math.round(frame.height * scale));
+            canvas.getContext('2d').drawImage(frame.source, 0, 0, canvas.width, canvas.height);
+
+            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.7));
+            return blob ? new Uint8Array(await blob.arrayBuffer()) : null;
+        } catch (err) {
+            console.warn(`No thumbnail for ${file.name}:`, err);
+            return null;
+        } finally {
+            if (frame) frame.release();
+        }
+    }
+
+    async decodeImage(file) {
+        // Decoding a huge photo just for a thumbnail isn't worth the memory
+        if (file.size > 40 * 1024 * 1024) throw new Error('Image too large to preview');
+        const bitmap = await createImageBitmap(file);
+        return { source: bitmap, width: bitmap.width, height: bitmap.height, release: () => bitmap.close() };
+    }
+
+    capturePosterFrame(file) {
+        // Seek a little way in (the first frame is often black) and grab that frame
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const video = document.createElement('video');
+            const release = () => {
+                video.removeAttribute('src');
+                video.load();
+                URL.revokeObjectURL(url);
+            };
+            const timer = setTimeout(() => {
+                release();
+                reject(new Error('Timed out reading video'));
+            }, 5000);
+
+            video.muted = true;
+            video.playsInline = true;
+            video.preload = 'auto';
+            video.onloadeddata = () => {
+                video.currentTime = Math.min(1, (video.duration || 0) / 10);
+            };
+            video.onseeked = () => {
+                clearTimeout(timer);
+                resolve({ source: video, width: video.videoWidth, height: video.videoHeight, release });
+            };
+            video.onerror = () => {
+                clearTimeout(timer);
+                release();
+                reject(new Error('Browser cannot decode this video'));
+            };
+            video.src = url;
+        });
+    }
+
     formatFileSize(bytes) {
         if (bytes === 0) return '0 B';
         const k = 1024;
@@ -660,99 +1687,107 @@ class EaseTransfer {
     }
 
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        // Quotes too: names from other devices also go into attribute values
+        return String(text || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
-    async viewFile(fileId) {
-        const file = this.files.get(fileId);
-        if (!file) return;
+    async tryDirectDownload(file, forSave) {
+        // Fetch straight from the uploader's browser; false means use the server relay instead
+        if (!this.direct.canFetch(file)) return false;
 
-        const fileType = this.getFileType(file.mimetype);
-        if (fileType !== 'image' && fileType !== 'video') {
-            this.showToast('Preview not available for this file type', 'info');
-            return;
+        this.showToast('Connecting directly to the sender...', 'info');
+        let chunks;
+        try {
+            chunks = await this.direct.fetch(file);
+        } catch (err) {
+            console.warn('Direct transfer failed:', err);
+            this.showToast('Direct connection failed, relaying through the server', 'info');
+            return false;
         }
 
-        this.currentViewFileId = fileId;
-        
-        // Request file for preview
-        this.viewMode = true;
-        this.ws.send(JSON.stringify({
-            type: 'request_file',
-            fileId,
-            forPreview: true
-        }));
-
-        this.showToast('Loading preview...', 'info');
+        this.downloading.set(file.id, {
+            fileName: file.originalName,
+            size: file.size,
+            mimeType: file.mimetype,
+            chunks,
+            received: file.size
+        });
+        if (forSave) this.pendingSaves.add(file.id);
+        this.showToast('Received directly (peer-to-peer)', 'success');
+        this.completeDownload(file.id);
+        return true;
     }
 
-    showViewer(fileId, blob) {
+    async downloadFile(fileId) {
         const file = this.files.get(fileId);
         if (!file) return;
 
-        const fileType = this.getFileType(file.mimetype);
-        const modal = document.getElementById('viewerModal');
-        const image = document.getElementById('viewerImage');
-        const video = document.getElementById('viewerVideo');
-        const filename = document.getElementById('viewerFilename');
-
-        filename.textContent = file.originalName;
-
-        const url = URL.createObjectURL(blob);
+        // Encrypted files are decrypted in memory whichever way they come
+        const direct = file.encryption || file.size <= this.direct.maxSaveBytes;
+        if (direct && await this.tryDirectDownload(file, true)) return;
 
-        if (fileType === 'video') {
-            image.style.display = 'none';
-            video.style.display = 'block';
-            video.src = url;
-        } else {
-            video.style.display = 'none';
-            video.src = '';
-            image.style.display = 'block';
-            image.src = url;
+        // Encrypted files have to be decrypted here, so they can't use the native download
+        if (file.encryption) {
+            this.pendingSaves.add(fileId);
+            this.ws.send(JSON.stringify({
+                type: 'request_file',
+                fileId
+            }));
+            this.showToast('Downloading and decrypting (relayed)...', 'info');
+            return;
         }
 
-        modal.classList.add('show');
-        document.body.style.overflow = 'hidden';
+        // Ask the server for a signed download link
+        this.ws.send(JSON.stringify({
+            type: 'request_download',
+            fileId
+        }));
 
-        // Store for cleanup
-        this.currentViewerUrl = url;
+        this.showToast('Starting download (relayed)...', 'info');
     }
 
-    closeViewer() {
-        const modal = document.getElementById('viewerModal');
-        const video = document.getElementById('viewerVideo');
-        
-        modal.classList.remove('show');
-        document.body.style.overflow = '';
-        video.pause();
-        video.src = '';
-
-        if (this.currentViewerUrl) {
-            URL.revokeObjectURL(this.currentViewerUrl);
-            this.currentViewerUrl = null;
-        }
-        this.currentViewFileId = null;
+    async downloadFolder(folder) {
+        const files = Array.from(this.files.values()).filter(f => f.relativePath && f.relativePath.split('/')[0] === folder);
+        await this.downloadAsZip(files, folder);
     }
 
-    async downloadFile(fileId) {
-        const file = this.files.get(fileId);
-        if (!file) return;
+    async downloadAllFiles() {
+        // The ticked files, or everything in the session
+        const files = this.selectedFiles.size > 0
+            ? Array.from(this.selectedFiles).map(id => this.files.get(id)).filter(Boolean)
+            : Array.from(this.files.values()).filter(f => f.kind !== 'text');
+        this.selectedFiles.clear();
+        this.renderFiles();
+        await this.downloadAsZip(files);
+    }
 
-        this.viewMode = false;
-        // Request file from server via WebSocket
-        this.ws.send(JSON.stringify({
-            type: 'request_file',
-            fileId
-        }));
+    async downloadAsZip(files, folder = null) {
+        // The server only has ciphertext for encrypted files, so those are decrypted and saved one by one
+        const oneByOne = files.filter(f => f.encryption);
+        const zipped = files.filter(f => !f.encryption);
+        if (zipped.length === 1) {
+            oneByOne.push(zipped.pop());
+        }
 
-        this.showToast('Starting download...', 'info');
-    }
+        if (zipped.length > 0) {
+            // Ask the server for a signed link to a ZIP it streams from the stored files
+            this.ws.send(JSON.stringify({
+                type: 'request_zip',
+                folder: folder || undefined,
+                fileIds: zipped.map(f => f.id)
+            }));
+            this.showToast(`Zipping ${zipped.length} files...`, 'info');
+        }
 
-    async downloadAllFiles() {
-        const filesArray = Array.from(this.files.values());
-        for (const file of filesArray) {
+        if (files.some(f => f.encryption)) {
+            this.showToast('Encrypted files are saved one by one', 'info');
+        }
+        for (const file of oneByOne) {
             await this.downloadFile(file.id);
             await new Promise(resolve => setTimeout(resolve, 1000));
         }
@@ -764,6 +1799,7 @@ class EaseTransfer {
             fileId
         }));
         this.files.delete(fileId);
+        this.forgetPreview(fileId);
         this.renderFiles();
         this.showToast('File removed', 'info');
     }
@@ -778,7 +1814,11 @@ class EaseTransfer {
             info: '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="12"/><line x1="12" y1="8" x2="12.01" y2="8"/></svg>'
         };
 
-        toast.innerHTML = `${icons[type] || icons.info}<span>${message}</span>`;
+        // Messages carry device and file names chosen by other people: text only, never markup
+        toast.innerHTML = icons[type] || icons.info;
+        const text = document.createElement('span');
+        text.textContent = message;
+        toast.appendChild(text);
         this.elements.toastContainer.appendChild(toast);
 
         // Remove toast after 3 seconds
@@ -789,6 +1829,1039 @@ class EaseTransfer {
     }
 }
 
+// Upload queue: several files in flight at once, each with its own progress and pause/cancel/retry
+class UploadManager {
+    constructor(app) {
+        this.app = app;
+        this.uploads = new Map(); // requestId -> upload, in the order they were added
+        this.concurrency = parseInt(localStorage.getItem('uploadConcurrency'), 10) || 3;
+        this.window = 1024 * 1024; // max bytes of one upload sent but not yet confirmed by the server
+        this.chunkSize = 64 * 1024;
+    }
+
+    get activeCount() {
+        let count = 0;
+        this.uploads.forEach(upload => {
+            if (upload.status === 'starting' || upload.status === 'uploading') count++;
+        });
+        return count;
+    }
+
+    setConcurrency(value) {
+        this.concurrency = Math.min(Math.max(value || 1, 1), 6);
+        localStorage.setItem('uploadConcurrency', this.concurrency);
+        this.pump();
+    }
+
+    add(items, recipients = [], expiry = {}) {
+        items.forEach(({ file, relativePath }) => {
+            // Our own ID for the transfer; the server echoes it on every upload message
+            const requestId = this.app.toBase64Url(crypto.getRandomValues(new Uint8Array(12)));
+            this.uploads.set(requestId, {
+                requestId,
+                file,
+                relativePath, // "Folder/sub/name.ext" for folder uploads, '' otherwise
+                recipients, // device IDs; empty sends to the whole session
+                expiry, // { ttlMinutes } or { pinned: true }; empty leaves it to the server
+                status: 'queued', // queued | starting | uploading | paused | failed | done
+                fileId: null,
+                encryption: null,
+                hash: null,
+                received: 0,
+                acked: 0, // bytes the server has confirmed storing
+                total: file.size,
+                bytesPerSecond: 0,
+                error: null
+            });
+        });
+        this.render();
+        this.pump();
+    }
+
+    find(message) {
+        const upload = this.uploads.get(message.requestId);
+        if (upload) return upload;
+        for (const candidate of this.uploads.values()) {
+            if (message.fileId && candidate.fileId === message.fileId) return candidate;
+        }
+        return null;
+    }
+
+    pump() {
+        // Start queued uploads until the concurrency limit is reached
+        const ws = this.app.ws;
+        if (!ws || ws.readyState !== WebSocket.OPEN || !this.app.sessionCode) return;
+
+        for (const upload of this.uploads.values()) {
+            if (this.activeCount >= this.concurrency) break;
+            if (upload.status === 'queued') this.start(upload);
+        }
+    }
+
+    start(upload) {
+        upload.status = 'starting';
+        upload.error = null;
+        this.render();
+
+        // Drawn while the file uploads and attached to file_complete
+        if (!upload.thumbnail) {
+            upload.thumbnail = this.app.createThumbnail(upload.file);
+        }
+
+        // The server still holds part of it: ask where it stopped
+        if (upload.fileId) {
+            this.app.ws.send(JSON.stringify({
+                type: 'resume_upload',
+                requestId: upload.requestId,
+                fileId: upload.fileId
+            }));
+            return;
+        }
+
+        // Encrypt with the session key when we have one; the server stores ciphertext only.
+        // Kept across restarts of the same request so a re-sent start matches the server's record
+        const { file } = upload;
+        const chunkCount = Math.ceil(file.size / this.chunkSize);
+        if (!upload.encryption && this.app.sessionKey) {
+            upload.encryption = {
+                alg: 'AES-GCM',
+                keyId: this.app.sessionKeyId,
+                nonce: this.app.toBase64Url(crypto.getRandomValues(new Uint8Array(8))),
+                chunkSize: this.chunkSize,
+                plainSize: file.size
+            };
+        }
+        upload.total = upload.encryption ? file.size + chunkCount * 16 : file.size;
+
+        this.app.ws.send(JSON.stringify({
+            type: 'file_start',
+            requestId: upload.requestId,
+            fileName: file.name,
+            fileSize: upload.total,
+            mimeType: file.type || 'application/octet-stream',
+            encryption: upload.encryption,
+            recipients: upload.recipients.length > 0 ? upload.recipients : undefined,
+            relativePath: upload.relativePath || undefined,
+            ...upload.expiry
+        }));
+    }
+
+    reset(upload) {
+        // Forget the server-side copy so the next start begins from scratch
+        upload.fileId = null;
+        upload.encryption = null;
+        upload.hash = null;
+        upload.received = 0;
+        upload.bytesPerSecond = 0;
+    }
+
+    handleStartAck(message) {
+        const upload = this.uploads.get(message.requestId);
+        if (!upload) {
+            // Cancelled before the server answered
+            this.app.ws.send(JSON.stringify({ type: 'cancel_upload', fileId: message.fileId }));
+            return;
+        }
+        upload.fileId = message.fileId;
+        if (upload.status !== 'starting') return; // paused meanwhile
+
+        this.sendChunks(upload, message.offset || 0);
+    }
+
+    handleResumeAck(message) {
+        const upload = this.find(message);
+        if (!upload || upload.status !== 'starting') return;
+        if (message.offset > 0) {
+            this.app.showToast(`Resuming ${message.fileName}`, 'info');
+        }
+        this.sendChunks(upload, message.offset);
+    }
+
+    handleResumeFailed(message) {
+        const upload = this.find(message);
+        if (!upload) return;
+        this.reset(upload);
+        if (upload.status === 'starting') {
+            this.start(upload);
+        }
+    }
+
+    handleError(message) {
+        const upload = this.find(message);
+        if (!upload) return;
+        this.reset(upload);
+        upload.status = 'failed';
+        upload.error = message.error;
+        this.releaseCredit(upload);
+        this.render();
+        this.pump();
+    }
+
+    handleProgress(message) {
+        const upload = this.find(message);
+        if (!upload) return;
+        upload.received = message.received;
+        // What the server has stored is what it has confirmed: sendChunks may run ahead of it by a window
+        upload.acked = message.received;
+        upload.bytesPerSecond = message.bytesPerSecond || 0;
+        this.releaseCredit(upload);
+        this.renderProgress(upload);
+    }
+
+    handleComplete(message) {
+        const upload = this.find(message);
+        if (!upload) return;
+
+        // Keep our copy around so peers can fetch it from us directly
+        const stored = message.file;
+        this.app.localFiles.set(message.fileId, {
+            file: upload.file,
+            encryption: upload.encryption,
+            recipients: stored && stored.recipients
+        });
+
+        upload.received = upload.total;
+        if (message.corrupt) {
+            upload.status = 'failed';
+            upload.error = 'Arrived corrupted (checksum mismatch)';
+            upload.fileId = null;
+            this.app.showToast(`${upload.file.name} arrived corrupted (checksum mismatch)`, 'error');
+        } else {
+            upload.status = 'done';
+            if (stored && stored.recipients) {
+                // Peers only see it if they were picked, so list it here as "sent to"
+                this.app.files.set(stored.id, stored);
+                this.app.renderFiles();
+                this.app.showToast(`${this.app.recipientNames(stored)}: ${upload.file.name}`, 'success');
+            } else {
+                this.app.showToast(`${upload.file.name} uploaded!`, 'success');
+            }
+            // Finished uploads leave the queue after a moment
+            setTimeout(() => {
+                if (this.uploads.get(upload.requestId) === upload && upload.status === 'done') {
+                    this.uploads.delete(upload.requestId);
+                    this.render();
+                }
+            }, 3000);
+        }
+        this.render();
+        this.pump();
+    }
+
+    pause(requestId) {
+        const upload = this.uploads.get(requestId);
+        if (!upload || !['queued', 'starting', 'uploading'].includes(upload.status)) return;
+        // The chunk loop notices and stops; the server keeps what it has for resume
+        upload.status = 'paused';
+        upload.bytesPerSecond = 0;
+        this.releaseCredit(upload);
+        this.render();
+        this.pump();
+    }
+
+    resume(requestId) {
+        const upload = this.uploads.get(requestId);
+        if (!upload || upload.status !== 'paused') return;
+        upload.status = 'queued';
+        this.render();
+        this.pump();
+    }
+
+    retry(requestId) {
+        const upload = this.uploads.get(requestId);
+        if (!upload || upload.status !== 'failed') return;
+        this.reset(upload);
+        upload.status = 'queued';
+        this.render();
+        this.pump();
+    }
+
+    cancel(requestId) {
+        const upload = this.uploads.get(requestId);
+        if (!upload) return;
+        this.uploads.delete(requestId);
+        if (upload.fileId && upload.status !== 'done' && this.app.ws.readyState === WebSocket.OPEN) {
+            this.app.ws.send(JSON.stringify({ type: 'cancel_upload', fileId: upload.fileId }));
+        }
+        this.releaseCredit(upload);
+        this.render();
+        this.pump();
+    }
+
+    resumeAll() {
+        // After a reconnect: uploads that were in flight pick up where the server stopped
+        this.uploads.forEach(upload => {
+            if (upload.status === 'starting' || upload.status === 'uploading') {
+                upload.status = 'queued';
+            }
+        });
+        this.pump();
+    }
+
+    async sendChunks(upload, offset = 0) {
+        const { file, encryption } = upload;
+        // Stop if this socket drops; a reconnect resumes on the new one
+        const ws = this.app.ws;
+        const run = upload.run = {}; // a newer run for the same upload replaces this one
+        const packetSize = encryption ? this.chunkSize + 16 : this.chunkSize;
+        const totalChunks = Math.ceil(file.size / this.chunkSize);
+
+        upload.status = 'uploading';
+        upload.received = offset;
+        this.render();
+
+        // The server only ever holds whole chunks, so the offset maps to a chunk index
+        const firstChunk = Math.floor(offset / packetSize);
+        const active = () => ws === this.app.ws && ws.readyState === WebSocket.OPEN &&
+            upload.run === run && upload.status === 'uploading' && this.uploads.get(upload.requestId) === upload;
+
+        // Hash exactly the bytes the server stores; after a resume, re-hash what it already has
+        let hash = upload.hash;
+        if (!hash || hash.nextChunk !== firstChunk) {
+            hash = upload.hash = { hasher: new Sha256(), nextChunk: 0 };
+            for (let i = 0; i < firstChunk; i++) {
+                hash.hasher.update(await this.app.readUploadChunk(file, encryption, i));
+            }
+            hash.nextChunk = firstChunk;
+        }
+
+        upload.acked = offset;
+        let sentBytes = offset;
+        const header = new TextEncoder().encode(upload.fileId.padEnd(36));
+
+        for (let i = firstChunk; i < totalChunks; i++) {
+            const chunkData = await this.app.readUploadChunk(file, encryption, i);
+            await this.waitForCredit(upload, ws, sentBytes, active);
+
+            // Stop if the socket dropped or the upload was paused/cancelled meanwhile
+            if (!active() || upload.hash !== hash) return;
+
+            hash.hasher.update(chunkData);
+            hash.nextChunk = i + 1;
+
+            // Create packet: fileId (36 bytes) + chunk data
+            const packet = new Uint8Array(header.length + chunkData.byteLength);
+            packet.set(header, 0);
+            packet.set(new Uint8Array(chunkData), header.length);
+
+            ws.send(packet);
+            sentBytes += chunkData.byteLength;
+        }
+
+        const thumbnail = await this.prepareThumbnail(upload);
+        if (!active()) return;
+
+        // Tell server upload is complete
+        ws.send(JSON.stringify({
+            type: 'file_complete',
+            fileId: upload.fileId,
+            sha256: hash.hasher.hex(),
+            thumbnail
+        }));
+    }
+
+    async prepareThumbnail(upload) {
+        // A slow video decode shouldn't hold the upload back for long
+        const bytes = await Promise.race([
+            upload.thumbnail,
+            new Promise(resolve => setTimeout(() => resolve(null), 3000))
+        ]);
+        if (!bytes) return undefined;
+
+        // Previews of encrypted files are sealed the same way, as one chunk with its own nonce
+        if (!upload.encryption) {
+            return { type: 'image/jpeg', data: this.app.toBase64Url(bytes), encryption: null };
+        }
+        const encryption = {
+            alg: 'AES-GCM',
+            keyId: this.app.sessionKeyId,
+            nonce: this.app.toBase64Url(crypto.getRandomValues(new Uint8Array(8))),
+            chunkSize: bytes.byteLength,
+            plainSize: bytes.byteLength
+        };
+        const sealed = await this.app.encryptChunk(bytes, encryption, 0);
+        return { type: 'image/jpeg', data: this.app.toBase64Url(new Uint8Array(sealed)), encryption };
+    }
+
+    async waitForCredit(upload, ws, sentBytes, active) {
+        // Pause while the server is a full window behind or the socket's own buffer is full
+        while (active() && (sentBytes - upload.acked >= this.window || ws.bufferedAmount >= this.window)) {
+            await new Promise(resolve => {
+                upload.creditWaiter = resolve;
+                // bufferedAmount has no event, so re-check it now and then
+                setTimeout(resolve, 250);
+            });
+        }
+    }
+
+    releaseCredit(upload) {
+        if (upload.creditWaiter) {
+            upload.creditWaiter();
+            upload.creditWaiter = null;
+        }
+    }
+
+    releaseAll() {
+        this.uploads.forEach(upload => this.releaseCredit(upload));
+    }
+
+    progressPercent(upload) {
+        return upload.total ? Math.min(100, Math.round((upload.received / upload.total) * 100)) : 0;
+    }
+
+    statusText(upload) {
+        const percent = this.progressPercent(upload);
+        switch (upload.status) {
+            case 'queued':
+                return 'Waiting';
+            case 'starting':
+                return 'Starting...';
+            case 'uploading': {
+                if (!upload.bytesPerSecond) return `${percent}%`;
+                const eta = (upload.total - upload.received) / upload.bytesPerSecond;
+                return `${percent}% · ${this.app.formatFileSize(upload.bytesPerSecond)}/s · ${this.formatDuration(eta)} left`;
+            }
+            case 'paused':
+                return `Paused at ${percent}%`;
+            case 'failed':
+                return upload.error || 'Failed';
+            case 'done':
+                return 'Uploaded';
+        }
+        return '';
+    }
+
+    formatDuration(seconds) {
+        seconds = Math.ceil(seconds);
+        if (seconds < 60) return `${seconds}s`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+        return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+    }
+
+    render() {
+        const { transferQueue, transferList } = this.app.elements;
+        const uploads = Array.from(this.uploads.values());
+        transferQueue.classList.toggle('show', uploads.length > 0);
+
+        transferList.innerHTML = uploads.map(upload => {
+            const actions = [];
+            if (['queued', 'starting', 'uploading'].includes(upload.status)) actions.push(['pause', 'Pause']);
+            if (upload.status === 'paused') actions.push(['resume', 'Resume']);
+            if (upload.status === 'failed') actions.push(['retry', 'Retry']);
+            if (upload.status !== 'done') actions.push(['cancel', 'Cancel']);
+
+            return `
+                <div class="transfer-item ${upload.status}" data-request-id="${upload.requestId}">
+                    <div class="transfer-info">
+                        <span class="transfer-name">${this.app.escapeHtml(upload.relativePath || upload.file.name)}</span>
+                        <span class="transfer-status">${this.app.escapeHtml(this.statusText(upload))}</span>
+                    </div>
+                    <div class="progress-bar">
+                        <div class="progress-fill" style="width: ${this.progressPercent(upload)}%"></div>
+                    </div>
+                    <div class="transfer-actions">
+                        ${actions.map(([action, label]) => `
+                            <button class="btn-text" data-action="${action}" data-request-id="${upload.requestId}">${label}</button>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        transferList.querySelectorAll('[data-action]').forEach(btn => {
+            btn.addEventListener('click', () => this[btn.dataset.action](btn.dataset.requestId));
+        });
+    }
+
+    renderProgress(upload) {
+        // Progress arrives often, so update the bar in place instead of re-rendering the list
+        const item = this.app.elements.transferList.querySelector(`.transfer-item[data-request-id="${upload.requestId}"]`);
+        if (!item) return;
+        item.querySelector('.progress-fill').style.width = `${this.progressPercent(upload)}%`;
+        item.querySelector('.transfer-status').textContent = this.statusText(upload);
+    }
+}
+
+// Languages the text viewer highlights, by file extension. Anything else text-like is shown plain.
+const CODE_LANGUAGES = {
+    js: 'code', mjs: 'code', cjs: 'code', jsx: 'code', ts: 'code', tsx: 'code',
+    java: 'code', kt: 'code', swift: 'code', dart: 'code', go: 'code', rs: 'code',
+    c: 'code', h: 'code', cpp: 'code', hpp: 'code', cs: 'code', php: 'code', css: 'code', scss: 'code',
+    py: 'script', rb: 'script', sh: 'script', bash: 'script', zsh: 'script', ps1: 'script',
+    yml: 'script', yaml: 'script', toml: 'script', ini: 'script', conf: 'script', env: 'script',
+    json: 'json', geojson: 'json', ndjson: 'json',
+    html: 'markup', htm: 'markup', xml: 'markup', vue: 'markup', plist: 'markup',
+    sql: 'sql',
+    log: 'log',
+    txt: 'plain', md: 'plain', csv: 'plain', tsv: 'plain', srt: 'plain', vtt: 'plain'
+};
+
+const TEXT_MIME_LANGUAGES = {
+    'application/json': 'json',
+    'application/x-ndjson': 'json',
+    'application/javascript': 'code',
+    'application/xml': 'markup',
+    'application/x-sh': 'script',
+    'application/x-yaml': 'script',
+    'application/sql': 'sql'
+};
+
+// Token rules per language family: [css class, regex source], tried in order at each position
+const STRING_RULE = ['string', String.raw`"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'`];
+const NUMBER_RULE = ['number', String.raw`\b(?:0x[\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b`];
+
+const HIGHLIGHT_RULES = {
+    code: [
+        ['comment', String.raw`\/\/[^\n]*|\/\*[\s\S]*?\*\/`],
+        ['string', String.raw`"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|\`(?:[^\`\\]|\\[\s\S])*\``],
+        ['keyword', String.raw`\b(?:async|await|break|case|catch|class|const|continue|default|do|else|enum|export|extends|false|final|finally|fn|for|from|func|function|if|impl|import|in|interface|let|match|new|nil|null|of|package|private|protected|public|return|static|struct|super|switch|this|throw|true|try|type|typeof|undefined|var|void|while|yield)\b`],
+        NUMBER_RULE
+    ],
+    script: [
+        ['comment', String.raw`#[^\n]*`],
+        STRING_RULE,
+        ['keyword', String.raw`\b(?:and|as|case|class|def|do|done|elif|else|esac|except|export|fi|for|from|function|if|import|in|is|lambda|local|not|or|pass|raise|return|then|try|while|with|yield|True|False|None|true|false|null)\b`],
+        ['property', String.raw`\$\{?\w+\}?`],
+        NUMBER_RULE
+    ],
+    json: [
+        ['property', String.raw`"(?:[^"\\\n]|\\.)*"(?=\s*:)`],
+        STRING_RULE,
+        ['keyword', String.raw`\b(?:true|false|null)\b`],
+        ['number', String.raw`-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b`]
+    ],
+    markup: [
+        ['comment', String.raw`<!--[\s\S]*?-->`],
+        ['keyword', String.raw`<\/?[\w:.-]+|\/?>`],
+        ['property', String.raw`\b[\w:.-]+=(?:"[^"]*"|'[^']*')`]
+    ],
+    sql: [
+        ['comment', String.raw`--[^\n]*|\/\*[\s\S]*?\*\/`],
+        STRING_RULE,
+        ['keyword', String.raw`\b(?:select|from|where|insert|into|values|update|set|delete|create|table|drop|alter|join|left|right|inner|outer|on|and|or|not|null|is|in|like|group|by|order|limit|offset|as|distinct|having|union|all|index|primary|key|default|case|when|then|else|end)\b`],
+        NUMBER_RULE
+    ],
+    log: [
+        ['error', String.raw`\b(?:ERROR|ERR|FATAL|CRITICAL|PANIC|SEVERE)\b`],
+        ['warning', String.raw`\b(?:WARN|WARNING)\b`],
+        ['keyword', String.raw`\b(?:INFO|DEBUG|TRACE|NOTICE)\b`],
+        ['comment', String.raw`\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?`],
+        STRING_RULE
+    ]
+};
+
+// Full-screen viewer for images, video, audio, PDFs and text/code, with prev/next through the session's files
+class FileViewer {
+    constructor(app) {
+        this.app = app;
+        this.maxTextBytes = 2 * 1024 * 1024; // text is fetched whole and highlighted in the page
+        this.fileId = null; // file being shown (or loading)
+        this.url = null;
+        this.touchStart = null;
+        this.pdfjs = null; // pdf.js, loaded the first time a PDF is opened
+        this.pdf = null; // document being shown
+        this.pdfObserver = null;
+
+        this.modal = document.getElementById('viewerModal');
+        this.stage = document.getElementById('viewerStage');
+        this.filename = document.getElementById('viewerFilename');
+        this.position = document.getElementById('viewerPosition');
+        this.prevBtn = document.getElementById('viewerPrev');
+        this.nextBtn = document.getElementById('viewerNext');
+
+        document.getElementById('viewerClose').addEventListener('click', () => this.close());
+        this.modal.querySelector('.viewer-backdrop').addEventListener('click', () => this.close());
+        document.getElementById('viewerDownload').addEventListener('click', () => {
+            if (this.fileId) this.app.downloadFile(this.fileId);
+        });
+        this.prevBtn.addEventListener('click', () => this.step(-1));
+        this.nextBtn.addEventListener('click', () => this.step(1));
+
+        document.addEventListener('keydown', (e) => {
+            if (!this.fileId) return;
+            if (e.key === 'Escape') {
+                this.close();
+                return;
+            }
+            // Arrow keys on a focused player seek it instead
+            if (e.target.closest && e.target.closest('audio, video, input, textarea')) return;
+            if (e.key === 'ArrowLeft') this.step(-1);
+            if (e.key === 'ArrowRight') this.step(1);
+        });
+
+        // Horizontal swipe moves between files; vertical ones are left to scrolling
+        this.modal.addEventListener('touchstart', (e) => {
+            const scroller = e.target.closest('.viewer-code');
+            const touch = e.touches[0];
+            this.touchStart = e.touches.length === 1 && !(scroller && scroller.scrollWidth > scroller.clientWidth)
+                ? { x: touch.clientX, y: touch.clientY }
+                : null;
+        }, { passive: true });
+        this.modal.addEventListener('touchend', (e) => {
+            if (!this.touchStart) return;
+            const touch = e.changedTouches[0];
+            const dx = touch.clientX - this.touchStart.x;
+            const dy = touch.clientY - this.touchStart.y;
+            this.touchStart = null;
+            if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy) * 1.5) {
+                this.step(dx < 0 ? 1 : -1);
+            }
+        });
+    }
+
+    previewKind(file) {
+        // How the viewer shows a file: image | video | audio | pdf | text, or null for no preview
+        if (file.kind === 'text') return null;
+        const type = (file.mimetype || '').toLowerCase();
+        if (type.startsWith('image/')) return 'image';
+        if (type.startsWith('video/')) return 'video';
+        if (type.startsWith('audio/')) return 'audio';
+        if (type === 'application/pdf' || this.extension(file) === 'pdf') return 'pdf';
+        return this.textLanguage(file) ? 'text' : null;
+    }
+
+    extension(file) {
+        const name = file.originalName || '';
+        const dot = name.lastIndexOf('.');
+        return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+    }
+
+    textLanguage(file) {
+        // Extension first: logs and code often arrive as application/octet-stream
+        const type = (file.mimetype || '').toLowerCase().split(';')[0];
+        return CODE_LANGUAGES[this.extension(file)] ||
+            TEXT_MIME_LANGUAGES[type] ||
+            (type === 'text/html' || type === 'text/xml' ? 'markup' : null) ||
+            (type.startsWith('text/') ? 'plain' : null);
+    }
+
+    sequence() {
+        // Previewable files in list order: folder groups (sorted by path), then loose files
+        const folders = new Map();
+        const loose = [];
+        this.app.files.forEach(file => {
+            if (!this.previewKind(file)) return;
+            if (!file.relativePath) {
+                loose.push(file);
+                return;
+            }
+            const folder = file.relativePath.split('/')[0];
+            if (!folders.has(folder)) folders.set(folder, []);
+            folders.get(folder).push(file);
+        });
+        const grouped = Array.from(folders.values())
+            .map(files => files.sort((a, b) => a.relativePath.localeCompare(b.relativePath)));
+        return [].concat(...grouped, loose);
+    }
+
+    step(delta) {
+        const files = this.sequence();
+        const index = files.findIndex(f => f.id === this.fileId);
+        const target = index === -1 ? null : files[index + delta];
+        if (target) this.open(target.id);
+    }
+
+    async open(fileId) {
+        const file = this.app.files.get(fileId);
+        if (!file) return;
+        const kind = this.previewKind(file);
+        if (!kind) {
+            this.app.showToast('Preview not available for this file type', 'info');
+            return;
+        }
+
+        this.clear();
+        this.fileId = fileId;
+        this.filename.textContent = file.relativePath || file.originalName;
+        this.updateNavigation();
+        this.modal.classList.add('show');
+        document.body.style.overflow = 'hidden';
+
+        const size = file.encryption ? file.encryption.plainSize : file.size;
+        if (kind === 'text' && size > this.maxTextBytes) {
+            this.message(`Too large to preview (over ${this.app.formatFileSize(this.maxTextBytes)}). Save it to open it.`);
+            return;
+        }
+
+        this.message('Loading preview...');
+        if (await this.app.tryDirectDownload(file, false)) return;
+
+        // Relayed through the server; completeDownload hands the blob to show()
+        this.app.ws.send(JSON.stringify({
+            type: 'request_file',
+            fileId
+        }));
+    }
+
+    async show(fileId, blob) {
+        // Ignore previews that arrive after the user moved on
+        const file = this.app.files.get(fileId);
+        if (!file || fileId !== this.fileId) return;
+
+        const kind = this.previewKind(file);
+        if (kind === 'text') {
+            const text = await blob.text();
+            if (fileId !== this.fileId) return;
+            this.stage.innerHTML = `<pre class="viewer-code"><code>${this.highlight(text, this.textLanguage(file))}</code></pre>`;
+            return;
+        }
+
+        if (kind === 'pdf') {
+            await this.showPdf(file, blob);
+            return;
+        }
+
+        this.url = URL.createObjectURL(blob);
+        const players = {
+            image: `<img class="viewer-image" src="${this.url}" alt="Preview">`,
+            video: `<video class="viewer-video" src="${this.url}" controls autoplay playsinline></video>`,
+            audio: `<div class="viewer-audio"><svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M9 18V5l12-2v13"/><circle cx="6" cy="18" r="3"/><circle cx="18" cy="16" r="3"/></svg><audio src="${this.url}" controls autoplay></audio></div>`
+        };
+        this.stage.innerHTML = players[kind];
+    }
+
+    loadPdfJs() {
+        // Served from the pdfjs-dist package (see /vendor/pdf.mjs in server.js); a failed load is retried next time
+        if (!this.pdfjs) {
+            this.pdfjs = import('./vendor/pdf.mjs').then(pdfjs => {
+                pdfjs.GlobalWorkerOptions.workerSrc = new URL('vendor/pdf.worker.mjs', document.baseURI).href;
+                return pdfjs;
+            });
+            this.pdfjs.catch(() => {
+                this.pdfjs = null;
+            });
+        }
+        return this.pdfjs;
+    }
+
+    async showPdf(file, blob) {
+        // Pages are drawn here with pdf.js rather than left to the browser: Android's Chrome has no
+        // PDF viewer of its own and iOS shows only the first page of a PDF in a frame
+        let pdf;
+        try {
+            const pdfjs = await this.loadPdfJs();
+            const data = new Uint8Array(await blob.arrayBuffer());
+            pdf = await pdfjs.getDocument({ data, isEvalSupported: false }).promise;
+        } catch (err) {
+            console.error('Failed to open PDF:', err);
+            this.fail(file.id, 'This PDF can\'t be shown. Save it to open it.');
+            return;
+        }
+        if (file.id !== this.fileId) {
+            pdf.destroy();
+            return;
+        }
+        this.pdf = pdf;
+
+        const pages = document.createElement('div');
+        pages.className = 'viewer-pdf';
+        pages.title = file.originalName;
+        this.stage.replaceChildren(pages);
+
+        // Every page gets a placeholder the size of the first, so the scrollbar is right from the start
+        const first = (await pdf.getPage(1)).getViewport({ scale: 1 });
+        if (pdf !== this.pdf) return;
+        const width = pages.clientWidth - 16;
+        for (let number = 1; number <= pdf.numPages; number++) {
+            const canvas = document.createElement('canvas');
+            canvas.className = 'viewer-pdf-page';
+            canvas.dataset.page = number;
+            canvas.style.width = `${width}px`;
+            canvas.style.height = `${Math.round(width * first.height / first.width)}px`;
+            pages.appendChild(canvas);
+        }
+
+        // Pages are drawn as they near the view and cleared once well past it, so a long document
+        // doesn't hold every page's pixels at once (iOS caps the memory all canvases may use)
+        this.pdfObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.drawPdfPage(pdf, entry.target, width);
+                } else {
+                    this.clearPdfPage(entry.target);
+                }
+            });
+        }, { root: pages, rootMargin: '100% 0px' });
+        pages.querySelectorAll('canvas').forEach(canvas => this.pdfObserver.observe(canvas));
+    }
+
+    async drawPdfPage(pdf, canvas, width) {
+        if (canvas.drawn) return;
+        canvas.drawn = true;
+        try {
+            const page = await pdf.getPage(Number(canvas.dataset.page));
+            if (pdf !== this.pdf || !canvas.drawn) return;
+
+            // Drawn at the screen's pixel density (up to 2x) so text stays sharp
+            const ratio = Math.min(window.devicePixelRatio || 1, 2);
+            const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width * ratio });
+            canvas.width = Math.floor(viewport.width);
+            canvas.height = Math.floor(viewport.height);
+            canvas.style.height = `${Math.round(viewport.height / ratio)}px`;
+            canvas.renderTask = page.render({ canvasContext: canvas.getContext('2d'), viewport });
+            await canvas.renderTask.promise;
+        } catch (err) {
+            // Cancelled because the page scrolled away, or the viewer moved on and closed the document
+            if (err.name !== 'RenderingCancelledException' && pdf === this.pdf) {
+                console.error('Failed to draw PDF page:', err);
+            }
+        }
+    }
+
+    clearPdfPage(canvas) {
+        canvas.drawn = false;
+        if (canvas.renderTask) {
+            canvas.renderTask.cancel();
+            canvas.renderTask = null;
+        }
+        // A zero-sized canvas gives its pixels back; the placeholder keeps its CSS size
+        canvas.width = 0;
+        canvas.height = 0;
+    }
+
+    fail(fileId, error) {
+        if (fileId === this.fileId) this.message(error);
+    }
+
+    message(text) {
+        this.stage.innerHTML = `<div class="viewer-message">${this.app.escapeHtml(text)}</div>`;
+    }
+
+    updateNavigation() {
+        const files = this.sequence();
+        const index = files.findIndex(f => f.id === this.fileId);
+        this.prevBtn.style.visibility = index > 0 ? 'visible' : 'hidden';
+        this.nextBtn.style.visibility = index !== -1 && index < files.length - 1 ? 'visible' : 'hidden';
+        this.position.textContent = files.length > 1 ? `${index + 1} / ${files.length}` : '';
+    }
+
+    highlight(text, language) {
+        // Minified JSON is unreadable; pretty-print it when it parses
+        if (language === 'json' && !text.trim().includes('\n')) {
+            try {
+                text = JSON.stringify(JSON.parse(text), null, 2);
+            } catch (err) {
+                // not valid JSON after all: show it as it is
+            }
+        }
+
+        const escape = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const rules = HIGHLIGHT_RULES[language];
+        if (!rules) return escape(text);
+
+        // One alternation with a group per rule; the group that matched names the token
+        const pattern = new RegExp(rules.map(([, source]) => `(${source})`).join('|'), language === 'sql' ? 'gi' : 'g');
+        let html = '';
+        let last = 0;
+        for (const match of text.matchAll(pattern)) {
+            const rule = match.slice(1).findIndex(group => group !== undefined);
+            html += escape(text.slice(last, match.index));
+            html += `<span class="tok-${rules[rule][0]}">${escape(match[0])}</span>`;
+            last = match.index + match[0].length;
+        }
+        return html + escape(text.slice(last));
+    }
+
+    clear() {
+        // Stop playback before the player leaves the page, then free the blob
+        this.stage.querySelectorAll('audio, video').forEach(media => media.pause());
+        this.stage.innerHTML = '';
+        if (this.pdfObserver) {
+            this.pdfObserver.disconnect();
+            this.pdfObserver = null;
+        }
+        if (this.pdf) {
+            this.pdf.destroy();
+            this.pdf = null;
+        }
+        if (this.url) {
+            URL.revokeObjectURL(this.url);
+            this.url = null;
+        }
+    }
+
+    close() {
+        if (!this.fileId) return;
+        this.clear();
+        this.fileId = null;
+        this.modal.classList.remove('show');
+        document.body.style.overflow = '';
+    }
+}
+
+// Direct WebRTC DataChannel transfers; the WebSocket only carries offer/answer/ICE
+class DirectTransfers {
+    constructor(app) {
+        this.app = app;
+        this.transfers = new Map(); // transferId -> { pc, ... }
+        this.connectTimeout = 8000;
+        // Direct transfers are assembled in memory, so very large files go through the server
+        this.maxBytes = 256 * 1024 * 1024;
+        // Saved files are handed over as one Blob; past this, mobile browsers (iOS Safari above all)
+        // can run out of memory, so bigger plain files are saved through the native download
+        this.maxSaveBytes = 16 * 1024 * 1024;
+        this.pieceSize = 16 * 1024; // stays under every browser's DataChannel message limit
+    }
+
+    get available() {
+        return typeof RTCPeerConnection !== 'undefined';
+    }
+
+    canFetch(file) {
+        return this.available &&
+            !!file.uploaderId &&
+            file.uploaderId !== this.app.deviceId &&
+            file.size <= this.maxBytes;
+    }
+
+    signal(targetId, signal) {
+        this.app.ws.send(JSON.stringify({
+            type: 'rtc_signal',
+            targetId,
+            signal
+        }));
+    }
+
+    createPeerConnection(transferId, peerId) {
+        // Same-LAN peers connect with host candidates, so no STUN/TURN servers are needed
+        const pc = new RTCPeerConnection({ iceServers: [] });
+        pc.onicecandidate = (e) => {
+            if (e.candidate) {
+                this.signal(peerId, { kind: 'candidate', transferId, candidate: e.candidate });
+            }
+        };
+        return pc;
+    }
+
+    // Receiver: ask the uploader to open a DataChannel and stream us the stored bytes
+    fetch(file) {
+        const transferId = Math.random().toString(36).slice(2) + Date.now().toString(36);
+        const peerId = file.uploaderId;
+
+        return new Promise((resolve, reject) => {
+            const pc = this.createPeerConnection(transferId, peerId);
+            const chunks = [];
+            let received = 0;
+
+            const finish = (err) => {
+                clearTimeout(timer);
+                this.transfers.delete(transferId);
+                pc.close();
+                if (err) reject(err);
+                else resolve(chunks);
+            };
+            const timer = setTimeout(() => finish(new Error('Timed out connecting to peer')), this.connectTimeout);
+
+            pc.ondatachannel = (e) => {
+                // Connected; from here on a dropped channel is what signals failure
+                clearTimeout(timer);
+                const channel = e.channel;
+                channel.binaryType = 'arraybuffer';
+                channel.onmessage = (msg) => {
+                    if (typeof msg.data === 'string') {
+                        if (msg.data === 'done' && received === file.size) finish();
+                        else finish(new Error('Peer ended the transfer early'));
+                        return;
+                    }
+                    chunks.push(msg.data);
+                    received += msg.data.byteLength;
+                };
+                channel.onclose = () => {
+                    if (this.transfers.has(transferId)) finish(new Error('Channel closed'));
+                };
+            };
+
+            this.transfers.set(transferId, { pc, peerId, fail: finish });
+            this.signal(peerId, { kind: 'request', transferId, fileId: file.id });
+        });
+    }
+
+    // Sender: stream a file we uploaded, exactly as the server stores it. Only files the server still
+    // has are served: localFiles drops them when they're deleted or expire
+    async serve(peerId, transferId, fileId) {
+        const local = this.app.localFiles.get(fileId);
+        const allowed = local && (!local.recipients || local.recipients.some(r => r.id === peerId));
+        if (!allowed || !this.available) {
+            this.signal(peerId, { kind: 'decline', transferId });
+            return;
+        }
+
+        const pc = this.createPeerConnection(transferId, peerId);
+        const channel = pc.createDataChannel('file', { ordered: true });
+        channel.binaryType = 'arraybuffer';
+        channel.bufferedAmountLowThreshold = 1024 * 1024;
+        this.transfers.set(transferId, { pc, peerId, fail: () => pc.close() });
+
+        channel.onopen = async () => {
+            try {
+                const { file, encryption } = local;
+                const totalChunks = Math.ceil(file.size / (64 * 1024));
+                for (let i = 0; i < totalChunks; i++) {
+                    const data = await this.app.readUploadChunk(file, encryption, i);
+                    for (let start = 0; start < data.byteLength; start += this.pieceSize) {
+                        if (channel.bufferedAmount > 4 * 1024 * 1024) {
+                            await new Promise(r => channel.addEventListener('bufferedamountlow', r, { once: true }));
+                        }
+                        if (channel.readyState !== 'open') return;
+                        channel.send(data.slice(start, start + this.pieceSize));
+                    }
+                }
+                channel.send('done');
+            } catch (err) {
+                console.error('Direct send failed:', err);
+                channel.close();
+            }
+        };
+        channel.onclose = () => {
+            this.transfers.delete(transferId);
+            pc.close();
+        };
+
+        const offer = await pc.createOffer();
+        await pc.setLocalDescription(offer);
+        this.signal(peerId, { kind: 'offer', transferId, sdp: pc.localDescription });
+    }
+
+    async handleSignal(fromId, signal) {
+        if (!signal) return;
+        if (signal.kind === 'request') {
+            this.serve(fromId, signal.transferId, signal.fileId);
+            return;
+        }
+
+        const transfer = this.transfers.get(signal.transferId);
+        if (!transfer || transfer.peerId !== fromId) return;
+
+        // Apply signals in order: ICE candidates can arrive before the offer/answer is set
+        transfer.queue = (transfer.queue || Promise.resolve()).then(() => this.applySignal(transfer, fromId, signal));
+    }
+
+    async applySignal(transfer, fromId, signal) {
+        try {
+            switch (signal.kind) {
+                case 'offer': {
+                    await transfer.pc.setRemoteDescription(signal.sdp);
+                    const answer = await transfer.pc.createAnswer();
+                    await transfer.pc.setLocalDescription(answer);
+                    this.signal(fromId, { kind: 'answer', transferId: signal.transferId, sdp: transfer.pc.localDescription });
+                    break;
+                }
+                case 'answer':
+                    await transfer.pc.setRemoteDescription(signal.sdp);
+                    break;
+                case 'candidate':
+                    await transfer.pc.addIceCandidate(signal.candidate);
+                    break;
+                case 'decline':
+                    transfer.fail(new Error('Peer cannot send this file'));
+                    break;
+            }
+        } catch (err) {
+            transfer.fail(err);
+        }
+    }
+}
+
 // Star Rating & Feedback System
 class FeedbackSystem {
     constructor() {
@@ -868,7 +2941,7 @@ class FeedbackSystem {
                 this.stars.forEach(star => star.classList.remove('selected'));
                 if (this.feedbackText) this.feedbackText.value = '';
             } else {
-                window.easeTransfer?.showToast('Failed to send feedback', 'error');
+                window.easeTransfer?.showToast(result.error || 'Failed to send feedback', 'error');
             }
         } catch (err) {
             console.error('Feedback error:', err);
@@ -887,6 +2960,104 @@ class FeedbackSystem {
     }
 }
 
+// Incremental SHA-256: WebCrypto can't hash in pieces and isn't available over plain http
+class Sha256 {
+    constructor() {
+        this.state = new Uint32Array([
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+            0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ]);
+        this.block = new Uint8Array(64);
+        this.blockLength = 0;
+        this.bytesHashed = 0;
+        this.words = new Uint32Array(64);
+    }
+
+    update(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.bytesHashed += bytes.length;
+        let pos = 0;
+
+        // Top up a partially filled block first
+        if (this.blockLength > 0) {
+            const take = Math.min(64 - this.blockLength, bytes.length);
+            this.block.set(bytes.subarray(0, take), this.blockLength);
+            this.blockLength += take;
+            pos = take;
+            if (this.blockLength < 64) return this;
+            this.processBlock(this.block, 0);
+            this.blockLength = 0;
+        }
+
+        for (; pos + 64 <= bytes.length; pos += 64) {
+            this.processBlock(bytes, pos);
+        }
+
+        if (pos < bytes.length) {
+            this.block.set(bytes.subarray(pos), 0);
+            this.blockLength = bytes.length - pos;
+        }
+        return this;
+    }
+
+    processBlock(bytes, offset) {
+        const w = this.words;
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const a = w[i - 15], b = w[i - 2];
+            const s0 = ((a >>> 7) | (a << 25)) ^ ((a >>> 18) | (a << 14)) ^ (a >>> 3);
+            const s1 = ((b >>> 17) | (b << 15)) ^ ((b >>> 19) | (b << 13)) ^ (b >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = this.state;
+        for (let i = 0; i < 64; i++) {
+            const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const ch = (e & f) ^ (~e & g);
+            const t1 = (h + S1 + ch + Sha256.K[i] + w[i]) | 0;
+            const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const t2 = (S0 + maj) | 0;
+            h = g; g = f; f = e; e = (d + t1) | 0;
+            d = c; c = b; b = a; a = (t1 + t2) | 0;
+        }
+
+        const s = this.state;
+        s[0] += a; s[1] += b; s[2] += c; s[3] += d;
+        s[4] += e; s[5] += f; s[6] += g; s[7] += h;
+    }
+
+    // Finish and return the digest as hex (the hasher can't be reused afterwards)
+    hex() {
+        const bitsHigh = Math.floor(this.bytesHashed / 0x20000000);
+        const bitsLow = (this.bytesHashed * 8) >>> 0;
+
+        const padLength = this.blockLength < 56 ? 56 - this.blockLength : 120 - this.blockLength;
+        const padding = new Uint8Array(padLength + 8);
+        padding[0] = 0x80;
+        const view = new DataView(padding.buffer);
+        view.setUint32(padLength, bitsHigh);
+        view.setUint32(padLength + 4, bitsLow);
+        this.update(padding);
+
+        return Array.from(this.state, x => x.toString(16).padStart(8, '0')).join('');
+    }
+}
+
+Sha256.K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
 // Initialize the app
 document.addEventListener('DOMContentLoaded', () => {
     window.easeTransfer = new EaseTransfer();
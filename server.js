@@ -4,8 +4,16 @@ const WebSocket = require('ws');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
 const QRCode = require('qrcode');
 const { v4: uuidv4 } = require('uuid');
+const storage = require('./lib/storage');
+const zip = require('./lib/zip');
+const cluster = require('./lib/cluster');
+const { RateLimiter } = require('./lib/ratelimit');
+const { validateMessage, cleanFileName, cleanRelativePath, isId } = require('./lib/protocol');
 
 const app = express();
 const server = http.createServer(app);
@@ -39,20 +47,505 @@ const stats = loadStats();
 // Store sessions, devices, and files
 const sessions = new Map(); // sessionCode -> { devices: Map, files: Map, createdAt }
 const deviceToSession = new Map(); // deviceId -> sessionCode
+const deviceTokens = new Map(); // deviceToken -> { deviceId, lastSeen }
+const liveSockets = new Map(); // deviceId -> ws currently open for that device
 
-// Generate a random 6-character session code
+// Signed download links handed to browsers; the secret only needs to outlive the links. Processes
+// sharing a registry must all use the same one (see loadDownloadSecret)
+let downloadSecret = process.env.DOWNLOAD_SECRET || crypto.randomBytes(32).toString('hex');
+const DOWNLOAD_URL_TTL_MS = 5 * 60 * 1000;
+
+// Largest thumbnail the uploader's browser may attach, as base64 characters
+const MAX_THUMBNAIL_LENGTH = 96 * 1024;
+const THUMBNAIL_TYPES = ['image/jpeg', 'image/webp', 'image/png'];
+
+// Longest text snippet in characters (encrypted snippets arrive base64-encoded, so allow for that)
+const MAX_TEXT_LENGTH = 100 * 1024;
+
+// Storage limits in bytes (stored size, i.e. ciphertext for encrypted files)
+const LIMITS = {
+    maxFileBytes: parseByteLimit(process.env.MAX_FILE_BYTES, 1024 * 1024 * 1024), // 1GB
+    maxSessionBytes: parseByteLimit(process.env.MAX_SESSION_BYTES, 2 * 1024 * 1024 * 1024), // 2GB
+    maxTotalBytes: parseByteLimit(process.env.MAX_TOTAL_BYTES, 10 * 1024 * 1024 * 1024) // 10GB
+};
+
+function parseByteLimit(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return parsed > 0 ? parsed : fallback;
+}
+
+// File lifetimes: the uploader picks 10 minutes to 24 hours (the server may lower the ceiling)
+// or pins the file, which keeps it until the session ends
+const MIN_FILE_TTL_MINUTES = 10;
+const MAX_FILE_TTL_MINUTES = Math.max(MIN_FILE_TTL_MINUTES, Math.min(parseByteLimit(process.env.MAX_FILE_TTL_MINUTES, 24 * 60), 24 * 60));
+const DEFAULT_FILE_TTL_MINUTES = fileTtlMinutes(parseByteLimit(process.env.DEFAULT_FILE_TTL_MINUTES, 60), MAX_FILE_TTL_MINUTES);
+
+// Devices that can see a file hear about it this long before it's deleted
+const EXPIRY_WARNING_MS = 2 * 60 * 1000;
+
+// An unfinished upload counts its whole declared size against the quotas, so it is dropped once
+// no data has arrived for this long; an uploader that comes back later starts it over
+const STALLED_UPLOAD_MS = 5 * 60 * 1000;
+
+// Clamp a requested lifetime to the allowed range; anything unusable gets the fallback
+function fileTtlMinutes(value, fallback = DEFAULT_FILE_TTL_MINUTES) {
+    const minutes = Number(value);
+    if (!Number.isFinite(minutes) || minutes <= 0) return fallback;
+    return Math.min(Math.max(Math.round(minutes), MIN_FILE_TTL_MINUTES), MAX_FILE_TTL_MINUTES);
+}
+
+// Session codes are short enough to type (SESSION_CODE_LENGTH characters, 4 to 12) and may stop
+// working SESSION_CODE_TTL_MINUTES after the session is created (0: for as long as the session lasts).
+// Every session also gets a long link token for the QR code and shared links, which never expires.
+const SESSION_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Removed confusing chars like 0,O,1,I
+const SESSION_CODE_LENGTH = Math.min(Math.max(parseByteLimit(process.env.SESSION_CODE_LENGTH, 6), 4), 12);
+const SESSION_CODE_TTL_MINUTES = parseByteLimit(process.env.SESSION_CODE_TTL_MINUTES, 0);
+const LINK_TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+// Relayed downloads pause once this many bytes are sent but not yet acknowledged by the device
+const DOWNLOAD_WINDOW_BYTES = 2 * 1024 * 1024;
+
+// How long a dropped device keeps its place in the session before it counts as gone
+const RECONNECT_GRACE_MS = 60 * 1000;
+
+// Abuse limits, per client IP unless noted. Each is a burst allowance that refills evenly over its window
+const RATE_LIMITS = {
+    connections: new RateLimiter({ limit: 30, windowMs: 60 * 1000 }),
+    joins: new RateLimiter({ limit: 10, windowMs: 60 * 1000 }),
+    // Unknown codes and wrong PINs, over WebSocket and HTTP: guessing a live session takes years
+    failedJoins: new RateLimiter({ limit: 20, windowMs: 60 * 60 * 1000 }),
+    sessionsCreated: new RateLimiter({ limit: 10, windowMs: 10 * 60 * 1000 }),
+    feedback: new RateLimiter({ limit: 5, windowMs: 60 * 60 * 1000 }),
+    qrCodes: new RateLimiter({ limit: 30, windowMs: 60 * 1000 }),
+    // Per device: JSON messages
+    messages: new RateLimiter({ limit: 200, windowMs: 2 * 1000 })
+};
+
+// A socket turned away this many times is disconnected
+const MAX_RATE_STRIKES = 20;
+
+// Behind a reverse proxy (as on Render) the client's address comes from X-Forwarded-For
+const TRUST_PROXY = process.env.TRUST_PROXY === '1' || process.env.TRUST_PROXY === 'true';
+
+// Several server processes can serve the same sessions through a shared registry and message bus
+// (Redis when REDIS_URL is set, see lib/cluster.js). Each process keeps the sessions its devices
+// use as a local mirror of the registry; a payload stays on the disk of the process that received
+// it, recorded as the file's instanceId, and other processes stream it from there.
+const INSTANCE_ID = uuidv4();
+const EVENTS_CHANNEL = 'easetransfer:events';
+const shared = cluster.createAdapter(process.env.REDIS_URL);
+const relay = new cluster.StreamRelay(shared, INSTANCE_ID, ({ sessionCode, fileId }) => {
+    const file = sessions.get(sessionCode)?.files.get(fileId);
+    if (!file || !file.complete || file.instanceId !== INSTANCE_ID) throw new Error('File not found');
+    return storage.createReader(sessionCode, fileId, { highWaterMark: 64 * 1024 });
+});
+shared.subscribe(EVENTS_CHANNEL, handleClusterEvent);
+
+function sessionKey(sessionCode, part = '') {
+    return `easetransfer:session:${sessionCode}${part}`;
+}
+
+function logSharedError(err) {
+    console.error('Shared registry update failed:', err.message);
+}
+
+// Tell the other processes about a change (see handleClusterEvent)
+function publishEvent(event) {
+    shared.publish(EVENTS_CHANNEL, JSON.stringify({ ...event, from: INSTANCE_ID })).catch(logSharedError);
+}
+
+function sharedSettings(session) {
+    return {
+        createdAt: session.createdAt,
+        pinHash: session.pinHash,
+        requireApproval: session.requireApproval,
+        hostId: session.hostId,
+        linkToken: session.linkToken,
+        codeExpiresAt: session.codeExpiresAt
+    };
+}
+
+function sharedDevice(device) {
+    return {
+        id: device.id,
+        name: device.name,
+        type: device.type,
+        connectedAt: device.connectedAt,
+        online: deviceOnline(device),
+        instanceId: device.instanceId
+    };
+}
+
+// A file record without the state of an upload in progress, as saved and shared
+function fileRecord({ writer, hasher, awaitingDrain, rateSampleAt, rateSampleBytes, bytesPerSecond, ...file }) {
+    return file;
+}
+
+function linkKey(linkToken) {
+    return `easetransfer:link:${linkToken}`;
+}
+
+// Pick a code no other process is using and reserve it in the registry in one step, so two
+// processes can't hand out the same one; null when the registry can't be reached
+async function claimSessionCode(session) {
+    for (let attempt = 0; attempt < 20; attempt++) {
+        const sessionCode = generateSessionCode();
+        if (sessions.has(sessionCode)) continue;
+        try {
+            if (await shared.setnx(sessionKey(sessionCode), JSON.stringify(sharedSettings(session)))) {
+                return sessionCode;
+            }
+        } catch (err) {
+            logSharedError(err);
+            return null;
+        }
+    }
+    return null;
+}
+
+// Without DOWNLOAD_SECRET, the first process to start stores its secret in the registry and the
+// others adopt it, so a download link signed by one process is accepted by all of them
+async function loadDownloadSecret() {
+    if (process.env.DOWNLOAD_SECRET || !process.env.REDIS_URL) return;
+    const key = 'easetransfer:download-secret';
+    await shared.setnx(key, downloadSecret);
+    downloadSecret = await shared.get(key) || downloadSecret;
+}
+
+function shareSession(sessionCode, session) {
+    const settings = sharedSettings(session);
+    shared.set(sessionKey(sessionCode), JSON.stringify(settings)).catch(logSharedError);
+    shared.set(linkKey(session.linkToken), sessionCode).catch(logSharedError);
+    publishEvent({ type: 'session', sessionCode, settings });
+}
+
+function unshareSession(sessionCode, session) {
+    shared.del(sessionKey(sessionCode), sessionKey(sessionCode, ':devices'), sessionKey(sessionCode, ':files'),
+        linkKey(session.linkToken)).catch(logSharedError);
+    publishEvent({ type: 'session_deleted', sessionCode });
+}
+
+function shareDevice(sessionCode, device) {
+    const summary = sharedDevice(device);
+    shared.hset(sessionKey(sessionCode, ':devices'), device.id, JSON.stringify(summary)).catch(logSharedError);
+    publishEvent({ type: 'device', sessionCode, device: summary });
+}
+
+function unshareDevice(sessionCode, deviceId) {
+    shared.hdel(sessionKey(sessionCode, ':devices'), deviceId).catch(logSharedError);
+    publishEvent({ type: 'device_removed', sessionCode, deviceId });
+}
+
+// Only published files are shared; an upload in progress stays with the process receiving it
+function shareFile(sessionCode, file) {
+    const record = fileRecord(file);
+    shared.hset(sessionKey(sessionCode, ':files'), file.id, JSON.stringify(record)).catch(logSharedError);
+    publishEvent({ type: 'file', sessionCode, file: record });
+}
+
+function unshareFile(sessionCode, fileId) {
+    shared.hdel(sessionKey(sessionCode, ':files'), fileId).catch(logSharedError);
+    publishEvent({ type: 'file_removed', sessionCode, fileId });
+}
+
+// The session as this process sees it, loading a mirror from the shared registry when another
+// process holds it; null when there is no such session (or the registry can't be reached)
+async function loadSession(sessionCode) {
+    if (!sessionCode) return null;
+    if (sessions.has(sessionCode)) return sessions.get(sessionCode);
+    try {
+        const [settings, devices, files] = await Promise.all([
+            shared.get(sessionKey(sessionCode)),
+            shared.hgetall(sessionKey(sessionCode, ':devices')),
+            shared.hgetall(sessionKey(sessionCode, ':files'))
+        ]);
+        if (!settings) return null;
+        // Loaded by another request in the meantime
+        if (sessions.has(sessionCode)) return sessions.get(sessionCode);
+        
+        const session = {
+            devices: new Map(),
+            files: new Map(),
+            ...JSON.parse(settings),
+            pendingJoins: new Map()
+        };
+        Object.values(devices).map(JSON.parse).forEach(device => {
+            session.devices.set(device.id, { ...device, ws: null });
+        });
+        Object.values(files).map(JSON.parse).forEach(file => {
+            session.files.set(file.id, { ...file, writer: null, hasher: null });
+        });
+        sessions.set(sessionCode, session);
+        return session;
+    } catch (err) {
+        console.error(`Failed to load session ${sessionCode} from the shared registry:`, err.message);
+        return null;
+    }
+}
+
+// The code of the session a link token belongs to, wherever it is held; null when there is none
+async function findSessionByLink(linkToken) {
+    if (typeof linkToken !== 'string' || !LINK_TOKEN_PATTERN.test(linkToken)) return null;
+    for (const [sessionCode, session] of sessions) {
+        if (session.linkToken === linkToken) return sessionCode;
+    }
+    try {
+        return await shared.get(linkKey(linkToken));
+    } catch (err) {
+        console.error('Failed to look up a session link in the shared registry:', err.message);
+        return null;
+    }
+}
+
+// Apply another process's change to the local mirror, or pass its message on to devices here
+function handleClusterEvent(raw) {
+    let event;
+    try {
+        event = JSON.parse(raw);
+    } catch (err) {
+        console.error('Failed to parse cluster event:', err);
+        return;
+    }
+    if (event.from === INSTANCE_ID) return;
+    
+    const { sessionCode } = event;
+    if (event.type === 'deliver') {
+        deliverLocally(sessionCode, event.message, event);
+        return;
+    }
+    
+    // Sessions nobody here uses aren't mirrored; they're loaded fresh when needed
+    const session = sessions.get(sessionCode);
+    if (!session) return;
+    
+    switch (event.type) {
+        case 'session': {
+            const hostChanged = session.hostId !== event.settings.hostId;
+            Object.assign(session, event.settings);
+            // Devices waiting here need the new host's answer
+            if (hostChanged) {
+                session.pendingJoins.forEach((pending, pendingId) => sendJoinRequest(sessionCode, session, pendingId));
+            }
+            break;
+        }
+        
+        case 'session_deleted':
+            dropSession(sessionCode);
+            break;
+        
+        case 'device': {
+            const device = session.devices.get(event.device.id);
+            if (device && device.instanceId === INSTANCE_ID) return;
+            session.devices.set(event.device.id, { ...event.device, ws: null });
+            break;
+        }
+        
+        case 'device_removed': {
+            const device = session.devices.get(event.deviceId);
+            if (device && device.instanceId !== INSTANCE_ID) {
+                session.devices.delete(event.deviceId);
+            }
+            break;
+        }
+        
+        case 'file':
+            session.files.set(event.file.id, { ...event.file, writer: null, hasher: null });
+            if (event.file.instanceId === INSTANCE_ID) persistSessions();
+            break;
+        
+        case 'file_removed': {
+            const file = session.files.get(event.fileId);
+            if (!file) return;
+            session.files.delete(file.id);
+            if (file.instanceId === INSTANCE_ID) {
+                storage.removeFile(sessionCode, file.id);
+                persistSessions();
+            }
+            break;
+        }
+        
+        case 'join_decision':
+            decideJoin(sessionCode, session, event.deviceId, event.approved);
+            break;
+    }
+}
+
+// Whether a device is connected: known here for its own devices, as last reported for others
+function deviceOnline(device) {
+    return device.instanceId === INSTANCE_ID ? !device.disconnectTimer : device.online;
+}
+
+// Read a stored payload from this process's disk, or streamed from the process holding it
+function openStoredFile(sessionCode, file, options = {}) {
+    if (file.instanceId === INSTANCE_ID) {
+        return storage.createReader(sessionCode, file.id, options);
+    }
+    return relay.open(file.instanceId, { sessionCode, fileId: file.id });
+}
+
+// Sessions, file records and device identities are saved next to the payloads (a second after
+// each change, and on shutdown) so a restart or redeploy picks them up again
+const SAVE_DELAY_MS = 1000;
+
+// After a restart, devices get this long to reconnect before they drop out of their session
+const RESTART_GRACE_MS = 10 * 60 * 1000;
+
+let saveTimer = null;
+
+function persistSessions() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        storage.saveState(snapshotSessions());
+    }, SAVE_DELAY_MS);
+}
+
+// Only this process's devices and payloads are saved; other processes save their own
+function snapshotSessions() {
+    return {
+        savedAt: new Date().toISOString(),
+        deviceTokens: Array.from(deviceTokens.entries()),
+        sessions: Array.from(sessions.entries())
+            .map(([code, session]) => ({
+                code,
+                ...sharedSettings(session),
+                devices: Array.from(session.devices.values())
+                    .filter(device => device.instanceId === INSTANCE_ID)
+                    .map(({ id, name, type, connectedAt }) => ({ id, name, type, connectedAt })),
+                // An unfinished upload can't carry on without its running hash, so only published files are kept
+                files: Array.from(session.files.values())
+                    .filter(file => file.complete && file.instanceId === INSTANCE_ID)
+                    .map(fileRecord)
+            }))
+            .filter(saved => saved.devices.length > 0 || saved.files.length > 0)
+    };
+}
+
+// Load the saved sessions and clear out any payload they don't account for
+function restoreSessions() {
+    const state = storage.loadState();
+    const keep = new Map();
+    if (state) {
+        state.deviceTokens.forEach(([token, identity]) => deviceTokens.set(token, identity));
+        state.sessions.forEach(saved => {
+            const session = {
+                devices: new Map(),
+                files: new Map(),
+                createdAt: saved.createdAt,
+                pinHash: saved.pinHash || null,
+                requireApproval: saved.requireApproval,
+                hostId: saved.hostId,
+                linkToken: saved.linkToken,
+                codeExpiresAt: saved.codeExpiresAt || null,
+                pendingJoins: new Map()
+            };
+            saved.files.forEach(file => {
+                // A payload that went missing or was cut short can't be served
+                if (file.kind !== 'text' && storage.storedSize(saved.code, file.id) !== file.size) return;
+                session.files.set(file.id, { ...file, instanceId: INSTANCE_ID, writer: null, hasher: null });
+            });
+            saved.devices.forEach(device => {
+                // Offline until the device reconnects with its token (see restoreDevice)
+                session.devices.set(device.id, {
+                    ...device,
+                    instanceId: INSTANCE_ID,
+                    ws: null,
+                    disconnectTimer: setTimeout(() => removeDeviceFromSession(device.id), RESTART_GRACE_MS)
+                });
+                deviceToSession.set(device.id, saved.code);
+            });
+            sessions.set(saved.code, session);
+            keep.set(saved.code, new Set(session.files.keys()));
+            
+            // This process has a new ID, so tell the others where the devices and files are now
+            shareSession(saved.code, session);
+            session.devices.forEach(device => shareDevice(saved.code, device));
+            session.files.forEach(file => shareFile(saved.code, file));
+        });
+        console.log(`Restored ${sessions.size} session(s) saved at ${state.savedAt}`);
+    }
+    storage.removeOrphans(keep);
+}
+
+restoreSessions();
+
+// A redeploy stops the server with SIGTERM: save now rather than lose the last second of changes
+['SIGTERM', 'SIGINT'].forEach(signal => process.on(signal, () => {
+    clearTimeout(saveTimer);
+    storage.saveState(snapshotSessions());
+    process.exit(0);
+}));
+
+// Remove a file record and its stored payload
+function deleteFile(sessionCode, session, fileId) {
+    const file = session.files.get(fileId);
+    if (!file) return;
+    if (file.writer) file.writer.destroy();
+    session.files.delete(fileId);
+    // The process holding the payload removes it when it hears about this
+    if (file.instanceId === INSTANCE_ID) storage.removeFile(sessionCode, fileId);
+    if (file.complete) unshareFile(sessionCode, fileId);
+    persistSessions();
+}
+
+// Remove a session and everything stored for it, on every process
+function deleteSession(sessionCode) {
+    const session = sessions.get(sessionCode);
+    if (!session) return;
+    dropSession(sessionCode);
+    unshareSession(sessionCode, session);
+}
+
+// Forget a session on this process, along with the payloads stored here
+function dropSession(sessionCode) {
+    const session = sessions.get(sessionCode);
+    if (!session) return;
+    session.files.forEach(file => {
+        if (file.writer) file.writer.destroy();
+    });
+    sessions.delete(sessionCode);
+    storage.removeSession(sessionCode);
+    persistSessions();
+}
+
+// Generate a random session code of SESSION_CODE_LENGTH characters
 function generateSessionCode() {
-    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Removed confusing chars like 0,O,1,I
     let code = '';
-    for (let i = 0; i < 6; i++) {
-        code += chars.charAt(Math.floor(Math.random() * chars.length));
+    for (let i = 0; i < SESSION_CODE_LENGTH; i++) {
+        code += SESSION_CODE_CHARS.charAt(crypto.randomInt(SESSION_CODE_CHARS.length));
     }
     return code;
 }
 
+// 192 random bits for a session's share link (see LINK_TOKEN_PATTERN)
+function generateLinkToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+// Whether a session's short code has stopped letting new devices in
+function codeExpired(session) {
+    return !!session.codeExpiresAt && session.codeExpiresAt <= Date.now();
+}
+
+function codeExpiryTime(session) {
+    return session.codeExpiresAt ? new Date(session.codeExpiresAt).toISOString() : null;
+}
+
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
-app.use(express.json());
+// QR code drawing for the web app (see loadQRCode in public/app.js)
+app.get('/vendor/qrcode.js', (req, res) => {
+    // The package's CommonJS entry is its browser build too (a plain script defining `qrcode`)
+    res.sendFile(require.resolve('qrcode-generator'));
+});
+// PDF page rendering for the file viewer (see showPdf in public/app.js). The legacy build also runs
+// on the older Safari releases many iPhones are still on. Module scripts need a JavaScript type.
+app.get('/vendor/pdf.mjs', (req, res) => {
+    res.type('text/javascript').sendFile(require.resolve('pdfjs-dist/legacy/build/pdf.min.mjs'));
+});
+app.get('/vendor/pdf.worker.mjs', (req, res) => {
+    res.type('text/javascript').sendFile(require.resolve('pdfjs-dist/legacy/build/pdf.worker.min.mjs'));
+});
 
 // Get local IP address
 function getLocalIP() {
@@ -67,12 +560,50 @@ function getLocalIP() {
     return 'localhost';
 }
 
-// Generate QR code for a session
-app.get('/api/qrcode', async (req, res) => {
+// Address limits apply to: the last hop the proxy saw when TRUST_PROXY is set, else the socket's peer
+function clientIp(req) {
+    const forwarded = TRUST_PROXY && req.headers['x-forwarded-for'];
+    if (forwarded) return forwarded.split(',').pop().trim();
+    return req.socket.remoteAddress;
+}
+
+function tooManyRequests(res, retryAfterMs) {
+    const seconds = Math.ceil(retryAfterMs / 1000);
+    res.set('Retry-After', String(seconds));
+    res.status(429).json({ code: 'rate_limited', error: `Too many requests. Try again in ${formatWait(seconds)}.` });
+}
+
+// Middleware spending one of the client's actions on each request
+function rateLimit(limiter) {
+    return (req, res, next) => {
+        const ip = clientIp(req);
+        if (limiter.take(ip)) return next();
+        console.log(`Rate limited ${ip}: ${req.method} ${req.path}`);
+        tooManyRequests(res, limiter.retryAfter(ip));
+    };
+}
+
+// Wrong session codes, file IDs and PINs over HTTP count as failed joins
+app.use('/api/sessions', (req, res, next) => {
+    const ip = clientIp(req);
+    const wait = RATE_LIMITS.failedJoins.retryAfter(ip);
+    if (wait > 0) {
+        console.log(`Rate limited ${ip}: ${req.method} ${req.originalUrl.split('?')[0]}`);
+        return tooManyRequests(res, wait);
+    }
+    res.on('finish', () => {
+        if (res.statusCode === 401 || res.statusCode === 404) RATE_LIMITS.failedJoins.take(ip);
+    });
+    next();
+});
+
+// Generate QR code for a session, without its link or key: the web app draws its own QR codes,
+// so the encryption key in a session link never reaches the server
+app.get('/api/qrcode', rateLimit(RATE_LIMITS.qrCodes), async (req, res) => {
     const ip = getLocalIP();
     const sessionCode = req.query.session || '';
-    const url = sessionCode 
-        ? `http://${ip}:${PORT}?session=${sessionCode}`
+    const url = sessionCode
+        ? `http://${ip}:${PORT}?session=${encodeURIComponent(sessionCode)}`
         : `http://${ip}:${PORT}`;
     try {
         const qrDataUrl = await QRCode.toDataURL(url, {
@@ -92,7 +623,20 @@ app.get('/api/info', (req, res) => {
     res.json({
         ip,
         port: PORT,
-        url: `http://${ip}:${PORT}`
+        url: `http://${ip}:${PORT}`,
+        limits: {
+            ...LIMITS,
+            availableBytes: Math.max(0, LIMITS.maxTotalBytes - totalStoredBytes())
+        },
+        expiry: {
+            minMinutes: MIN_FILE_TTL_MINUTES,
+            maxMinutes: MAX_FILE_TTL_MINUTES,
+            defaultMinutes: DEFAULT_FILE_TTL_MINUTES
+        },
+        sessionCodes: {
+            length: SESSION_CODE_LENGTH,
+            ttlMinutes: SESSION_CODE_TTL_MINUTES || null
+        }
     });
 });
 
@@ -105,7 +649,7 @@ app.get('/api/stats', (req, res) => {
 });
 
 // Submit feedback endpoint
-app.post('/api/feedback', async (req, res) => {
+app.post('/api/feedback', rateLimit(RATE_LIMITS.feedback), express.json(), async (req, res) => {
     const { rating, feedback } = req.body;
     
     if (!rating || rating < 1 || rating > 5) {
@@ -137,24 +681,824 @@ app.post('/api/feedback', async (req, res) => {
     res.json({ success: true, message: 'Thank you for your feedback!' });
 });
 
+// List the files in a session
+app.get('/api/sessions/:code/files', async (req, res) => {
+    const sessionCode = req.params.code.toUpperCase();
+    const session = await loadSession(sessionCode);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    if (!await checkHttpAccess(session, req, res)) return;
+    
+    // Files sent to particular devices stay out of the HTTP API
+    const files = Array.from(session.files.values())
+        .filter(f => f.complete && !f.recipients)
+        .map(fileMetadata);
+    res.json({ files });
+});
+
+// Upload a file with a raw streaming body, e.g.
+//   curl --data-binary @photo.jpg -H 'Content-Type: image/jpeg' "http://host:3000/api/sessions/ABC123/files?name=photo.jpg"
+app.post('/api/sessions/:code/files', async (req, res) => {
+    const sessionCode = req.params.code.toUpperCase();
+    const session = await loadSession(sessionCode);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    if (!await checkHttpAccess(session, req, res)) return;
+    
+    const fileName = cleanFileName(req.query.name || req.get('X-File-Name'));
+    if (!fileName) {
+        return res.status(400).json({ error: 'Missing or invalid file name (?name= or X-File-Name header)' });
+    }
+    
+    // The declared length is what gets checked against the limits, so it's required
+    if (req.get('Content-Length') === undefined) {
+        return res.status(411).json({ error: 'Content-Length is required' });
+    }
+    const fileSize = parseInt(req.get('Content-Length'), 10);
+    const rejection = checkUploadLimits(session, fileSize);
+    if (rejection) {
+        return res.status(413).json(rejection);
+    }
+    
+    const file = createFileRecord(sessionCode, session, {
+        fileName,
+        fileSize,
+        mimeType: req.get('Content-Type') || 'application/octet-stream',
+        uploaderId: null,
+        relativePath: cleanRelativePath(req.query.path || req.get('X-File-Path')),
+        ttlMinutes: fileTtlMinutes(req.query.ttl),
+        pinned: req.query.pinned === '1' || req.query.pinned === 'true'
+    });
+    const writer = file.writer;
+    
+    req.on('data', (chunk) => {
+        file.receivedSize += chunk.length;
+        file.lastChunkAt = Date.now();
+        file.hasher.update(chunk);
+    });
+    
+    pipeline(req, writer, (err) => {
+        file.writer = null;
+        if (err) {
+            console.error(`HTTP upload failed in session ${sessionCode}:`, err.message);
+            deleteFile(sessionCode, session, file.id);
+            if (!res.headersSent) {
+                res.status(500).json({ error: 'Upload failed' });
+            }
+            return;
+        }
+        
+        // File may have been deleted while uploading
+        if (session.files.get(file.id) !== file) {
+            return res.status(410).json({ error: 'File was removed' });
+        }
+        
+        if (file.receivedSize !== file.size) {
+            deleteFile(sessionCode, session, file.id);
+            return res.status(400).json({ code: 'size_mismatch', error: 'Body length did not match Content-Length' });
+        }
+        finalizeHash(file, req.get('X-Content-SHA256'));
+        publishFile(sessionCode, file);
+        res.status(201).json({ file: fileMetadata(file) });
+    });
+});
+
+// Share a text snippet, e.g.
+//   curl -d 'https://example.com' http://host:3000/api/sessions/ABC123/texts
+app.post('/api/sessions/:code/texts', express.text({ type: () => true, limit: MAX_TEXT_LENGTH * 4 }), async (req, res) => {
+    const sessionCode = req.params.code.toUpperCase();
+    const session = await loadSession(sessionCode);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    if (!await checkHttpAccess(session, req, res)) return;
+    
+    const text = typeof req.body === 'string' ? req.body : '';
+    if (!text.trim() || text.length > MAX_TEXT_LENGTH) {
+        return res.status(400).json({ code: 'invalid_text', error: `Text must be between 1 and ${MAX_TEXT_LENGTH} characters` });
+    }
+    const rejection = checkUploadLimits(session, Buffer.byteLength(text));
+    if (rejection) {
+        return res.status(413).json(rejection);
+    }
+    
+    const file = createTextRecord(session, {
+        text,
+        uploaderId: null,
+        ttlMinutes: fileTtlMinutes(req.query.ttl),
+        pinned: req.query.pinned === '1' || req.query.pinned === 'true'
+    });
+    publishFile(sessionCode, file);
+    res.status(201).json({ file: fileMetadata(file) });
+});
+
+// Download a file
+app.get('/api/sessions/:code/files/:id', async (req, res) => {
+    const sessionCode = req.params.code.toUpperCase();
+    const session = await loadSession(sessionCode);
+    if (session && !await checkHttpAccess(session, req, res)) return;
+    
+    const file = session && session.files.get(req.params.id);
+    if (file && file.recipients) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+    sendFileDownload(res, sessionCode, session, req.params.id);
+});
+
+// Download every file, one folder (?folder=) or a selection (?files=id,id) as a ZIP
+// streamed from the stored files
+app.get('/api/sessions/:code/zip', async (req, res) => {
+    const sessionCode = req.params.code.toUpperCase();
+    const session = await loadSession(sessionCode);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    if (!await checkHttpAccess(session, req, res)) return;
+    
+    const folder = req.query.folder ? String(req.query.folder) : null;
+    const ids = req.query.files ? String(req.query.files).split(',') : null;
+    const files = selectZipFiles(session, { folder, ids }, f => !f.recipients);
+    if (files.length === 0) {
+        return res.status(404).json({ error: 'No files to download' });
+    }
+    sendZip(res, sessionCode, files, zipName(sessionCode, folder));
+});
+
+// ZIP through a short-lived signed link (see createZipUrl)
+app.get('/download/:code/zip', async (req, res) => {
+    const { code } = req.params;
+    const ids = String(req.query.files || '');
+    const name = String(req.query.name || 'files');
+    if (!checkSignature(code, `zip:${name}:${ids}`, req.query)) {
+        return res.status(403).json({ error: 'Download link is invalid or has expired' });
+    }
+    
+    const session = await loadSession(code);
+    const files = ids.split(',')
+        .map(id => session && session.files.get(id))
+        .filter(f => f && f.complete);
+    if (files.length === 0) {
+        return res.status(404).json({ error: 'Files not found' });
+    }
+    sendZip(res, code, files, name);
+});
+
+// Download through a short-lived signed link (see createDownloadUrl)
+app.get('/download/:code/:id', async (req, res) => {
+    const { code, id } = req.params;
+    if (!checkSignature(code, id, req.query)) {
+        return res.status(403).json({ error: 'Download link is invalid or has expired' });
+    }
+    
+    sendFileDownload(res, code, await loadSession(code), id);
+});
+
+// Stream a stored file as an attachment; Range requests are handled by res.download
+function sendFileDownload(res, sessionCode, session, fileId) {
+    const file = session && session.files.get(fileId);
+    if (!file || !file.complete) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+    if (file.kind === 'text') {
+        res.attachment('text.txt');
+        return res.type('text/plain; charset=utf-8').send(file.text);
+    }
+    
+    const headers = {
+        'Content-Type': file.mimetype || 'application/octet-stream',
+        // RFC 9530 digest of the whole stored file, for clients that want to verify it
+        'Repr-Digest': `sha-256=:${Buffer.from(file.sha256, 'hex').toString('base64')}:`
+    };
+    
+    // Stored by another process: streamed through from there, whole
+    if (file.instanceId !== INSTANCE_ID) {
+        res.attachment(file.originalName);
+        res.set({ ...headers, 'Content-Length': String(file.size) });
+        pipeline(openStoredFile(sessionCode, file), res, (err) => {
+            if (err) console.error(`Download of ${file.id} from another server failed:`, err.message);
+        });
+        return;
+    }
+    
+    res.download(storage.filePath(sessionCode, file.id), file.originalName, { headers }, (err) => {
+        if (err && !res.headersSent) {
+            res.status(500).json({ error: 'Download failed' });
+        }
+    });
+}
+
+function signDownload(sessionCode, fileId, expires) {
+    return crypto.createHmac('sha256', downloadSecret)
+        .update(`${sessionCode}:${fileId}:${expires}`)
+        .digest('base64url');
+}
+
+// Build a relative download link that stays valid for DOWNLOAD_URL_TTL_MS
+function createDownloadUrl(sessionCode, fileId) {
+    const expires = Date.now() + DOWNLOAD_URL_TTL_MS;
+    const sig = signDownload(sessionCode, fileId, expires);
+    return `/download/${sessionCode}/${fileId}?expires=${expires}&sig=${sig}`;
+}
+
+// Signed link to a ZIP of the given files, named `${name}.zip`
+function createZipUrl(sessionCode, fileIds, name) {
+    const expires = Date.now() + DOWNLOAD_URL_TTL_MS;
+    const ids = fileIds.join(',');
+    const sig = signDownload(sessionCode, `zip:${name}:${ids}`, expires);
+    return `/download/${sessionCode}/zip?files=${ids}&name=${encodeURIComponent(name)}&expires=${expires}&sig=${sig}`;
+}
+
+// Check the expires/sig query of a signed link against what it claims to grant
+function checkSignature(sessionCode, subject, query) {
+    const expires = parseInt(query.expires, 10);
+    const expected = signDownload(sessionCode, subject, expires);
+    const sig = String(query.sig || '');
+    
+    const valid = sig.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected));
+    return valid && expires > Date.now();
+}
+
+// Stream stored files as one ZIP; files from folder uploads keep their paths inside it
+function sendZip(res, sessionCode, files, name) {
+    const names = zip.uniqueNames(files.map(f => f.relativePath || f.originalName));
+    const entries = files.map((file, i) => ({
+        name: names[i],
+        size: file.size,
+        date: file.uploadedAt,
+        open: () => openStoredFile(sessionCode, file)
+    }));
+    
+    res.attachment(`${name}.zip`);
+    res.set('Content-Length', String(zip.zipLength(entries)));
+    pipeline(zip.createZipStream(entries), res, (err) => {
+        if (err) console.error(`ZIP download failed in session ${sessionCode}:`, err.message);
+    });
+}
+
+// Complete files for a ZIP: all of them, one top-level folder and/or the given IDs,
+// narrowed to what the caller may see
+function selectZipFiles(session, { folder, ids }, canSee) {
+    const wanted = ids ? new Set(ids) : null;
+    return Array.from(session.files.values()).filter(f =>
+        f.complete && f.kind === 'file' && canSee(f) &&
+        (!folder || topFolder(f) === folder) &&
+        (!wanted || wanted.has(f.id)));
+}
+
+function zipName(sessionCode, folder) {
+    return folder || `easeTransfer-${sessionCode}`;
+}
+
+// Top-level folder of a file from a folder upload ('' for loose files)
+function topFolder(file) {
+    return file.relativePath ? file.relativePath.split('/')[0] : '';
+}
+
+// Bytes reserved by a session's files (uploads in progress count at their declared size)
+function sessionStoredBytes(session) {
+    let total = 0;
+    session.files.forEach(file => total += file.size);
+    return total;
+}
+
+// Bytes on this process's disk; mirrored sessions also list files stored by other processes
+function totalStoredBytes() {
+    let total = 0;
+    sessions.forEach(session => session.files.forEach(file => {
+        if (file.instanceId === INSTANCE_ID) total += file.size;
+    }));
+    return total;
+}
+
+// Check a declared upload size against the limits; returns { code, error } when rejected
+function checkUploadLimits(session, size) {
+    if (!Number.isSafeInteger(size) || size < 0) {
+        return { code: 'invalid_size', error: 'File size is missing or invalid.' };
+    }
+    if (size > LIMITS.maxFileBytes) {
+        return { code: 'file_too_large', error: `Files can be at most ${formatBytes(LIMITS.maxFileBytes)}.` };
+    }
+    if (sessionStoredBytes(session) + size > LIMITS.maxSessionBytes) {
+        return { code: 'session_quota_exceeded', error: `This session is full (${formatBytes(LIMITS.maxSessionBytes)} max). Remove some files first.` };
+    }
+    if (totalStoredBytes() + size > LIMITS.maxTotalBytes) {
+        return { code: 'storage_full', error: 'The server is out of storage space. Try again later.' };
+    }
+    return null;
+}
+
+// Public metadata for a file, as sent to devices
+function fileMetadata(file) {
+    return {
+        id: file.id,
+        originalName: file.originalName,
+        size: file.size,
+        mimetype: file.mimetype,
+        uploadedAt: file.uploadedAt,
+        encryption: file.encryption,
+        sha256: file.sha256,
+        corrupt: file.corrupt,
+        uploaderId: file.uploaderId,
+        recipients: file.recipients,
+        relativePath: file.relativePath,
+        kind: file.kind,
+        text: file.text,
+        thumbnail: file.thumbnail,
+        ttlMinutes: file.ttlMinutes,
+        pinned: file.pinned,
+        expiresAt: expiryTime(file)
+    };
+}
+
+// When a published file will be deleted (ISO string), or null while pinned
+function expiryTime(file) {
+    return file.expiresAt ? new Date(file.expiresAt).toISOString() : null;
+}
+
+// Start (or restart) a file's countdown; pinned files have none
+function scheduleExpiry(file) {
+    file.expiresAt = file.pinned ? null : Date.now() + file.ttlMinutes * 60 * 1000;
+    file.expiryWarned = false;
+}
+
+// Accept a small preview image from the uploader's browser: { type, data (base64), encryption }.
+// Encrypted previews are opaque like the file itself; anything malformed is just dropped
+function cleanThumbnail(thumbnail) {
+    if (!thumbnail || typeof thumbnail !== 'object') return null;
+    const { type, data, encryption } = thumbnail;
+    if (!THUMBNAIL_TYPES.includes(type)) return null;
+    if (typeof data !== 'string' || data.length > MAX_THUMBNAIL_LENGTH || !/^[A-Za-z0-9+/_-]+=*$/.test(data)) return null;
+    return {
+        type,
+        data,
+        encryption: encryption && typeof encryption === 'object' ? encryption : null
+    };
+}
+
+// Files sent to particular devices are only visible to those devices and the uploader
+function canAccessFile(file, deviceId) {
+    return !file.recipients ||
+        file.uploaderId === deviceId ||
+        file.recipients.some(recipient => recipient.id === deviceId);
+}
+
+// Resolve the device IDs an uploader picked to the session's current devices ({ id, name });
+// null when none were picked, i.e. the whole session
+function resolveRecipients(session, ids, uploaderId) {
+    if (!Array.isArray(ids) || ids.length === 0) return null;
+    return ids
+        .filter(id => id !== uploaderId && session.devices.has(id))
+        .map(id => ({ id, name: session.devices.get(id).name }));
+}
+
+// Seal the running SHA-256 of an upload and compare it with the uploader's, if given
+function finalizeHash(file, expected) {
+    file.sha256 = file.hasher.digest('hex');
+    file.hasher = null;
+    if (expected && String(expected).toLowerCase() !== file.sha256) {
+        file.corrupt = true;
+        console.log(`Checksum mismatch for ${file.originalName}: expected ${expected}, got ${file.sha256}`);
+    }
+}
+
+// Register a new upload in a session and open its file on disk
+function createFileRecord(sessionCode, session, { fileName, fileSize, mimeType, uploaderId, encryption, requestId, recipients, relativePath, ttlMinutes, pinned }) {
+    const fileId = uuidv4();
+    const file = {
+        id: fileId,
+        kind: 'file',
+        originalName: fileName,
+        size: fileSize,
+        mimetype: mimeType,
+        uploadedAt: new Date().toISOString(),
+        writer: storage.createWriter(sessionCode, fileId),
+        receivedSize: 0,
+        // When data last arrived (or the upload started or resumed), for dropping stalled uploads
+        lastChunkAt: Date.now(),
+        complete: false,
+        hasher: crypto.createHash('sha256'), // over the stored bytes, as they arrive
+        sha256: null,
+        corrupt: false,
+        uploaderId,
+        // Uploader's own ID for this transfer, echoed on every upload message
+        requestId: requestId || null,
+        // Devices the file was sent to ({ id, name }), or null for everyone in the session
+        recipients: recipients || null,
+        // "Folder/sub/name.ext" for files from a folder upload
+        relativePath: relativePath || null,
+        // Preview image attached when the upload completes (see cleanThumbnail)
+        thumbnail: null,
+        // Lifetime chosen by the uploader; the countdown starts once the file is published
+        ttlMinutes: ttlMinutes || DEFAULT_FILE_TTL_MINUTES,
+        pinned: pinned === true,
+        expiresAt: null,
+        expiryWarned: false,
+        // Opaque client-side encryption parameters (payload on disk is ciphertext)
+        encryption: encryption || null,
+        // Process whose disk holds the payload and which deletes it on expiry
+        instanceId: INSTANCE_ID
+    };
+    session.files.set(fileId, file);
+    return file;
+}
+
+// A shared text snippet lives in the file list (same delete/cleanup rules) but only in memory
+function createTextRecord(session, { text, uploaderId, encryption, recipients, ttlMinutes, pinned }) {
+    const file = {
+        id: uuidv4(),
+        kind: 'text',
+        originalName: 'Text',
+        size: Buffer.byteLength(text),
+        mimetype: 'text/plain',
+        uploadedAt: new Date().toISOString(),
+        text,
+        writer: null,
+        receivedSize: Buffer.byteLength(text),
+        complete: false,
+        sha256: crypto.createHash('sha256').update(text).digest('hex'),
+        corrupt: false,
+        uploaderId,
+        requestId: null,
+        recipients: recipients || null,
+        relativePath: null,
+        thumbnail: null,
+        ttlMinutes: ttlMinutes || DEFAULT_FILE_TTL_MINUTES,
+        pinned: pinned === true,
+        expiresAt: null,
+        expiryWarned: false,
+        encryption: encryption || null,
+        instanceId: INSTANCE_ID
+    };
+    session.files.set(file.id, file);
+    return file;
+}
+
+// Mark a fully stored upload as available and tell the session about it
+function publishFile(sessionCode, file, excludeId = null) {
+    file.complete = true;
+    scheduleExpiry(file);
+    shareFile(sessionCode, file);
+    persistSessions();
+    sendToFileAudience(sessionCode, file, {
+        type: 'new_file',
+        file: fileMetadata(file)
+    }, excludeId);
+    console.log(`File uploaded in session ${sessionCode}: ${file.originalName} (${formatBytes(file.size)})`);
+}
+
+const scrypt = promisify(crypto.scrypt);
+
+// A 4 to 8 digit PIN falls to a fast hash at once, so it is kept as a salted scrypt hash,
+// "<salt>:<hash>" in hex (it is saved to disk and shared through the registry)
+async function hashPin(pin) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(String(pin), salt, 32);
+    return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function checkPin(session, pin) {
+    if (!session.pinHash) return true;
+    if (!pin) return false;
+    const [salt, expected] = session.pinHash.split(':');
+    const stored = Buffer.from(expected || '', 'hex');
+    const hash = await scrypt(String(pin), Buffer.from(salt, 'hex'), 32);
+    return stored.length === hash.length && crypto.timingSafeEqual(hash, stored);
+}
+
+// Register a device as a member of a session and bring it up to date
+function admitDevice(ws, deviceId, sessionCode, name, type) {
+    const session = sessions.get(sessionCode);
+    if (!session || ws.readyState !== WebSocket.OPEN) return;
+    
+    session.devices.set(deviceId, {
+        id: deviceId,
+        ws,
+        name,
+        type,
+        connectedAt: new Date().toISOString(),
+        instanceId: INSTANCE_ID
+    });
+    deviceToSession.set(deviceId, sessionCode);
+    shareDevice(sessionCode, session.devices.get(deviceId));
+    persistSessions();
+    
+    // Increment user count
+    stats.totalUsers++;
+    saveStats();
+    
+    ws.send(JSON.stringify({
+        type: 'session_joined',
+        sessionCode,
+        deviceId,
+        connectedDevices: session.devices.size,
+        devices: deviceSummaries(session),
+        isHost: session.hostId === deviceId,
+        linkToken: session.linkToken,
+        codeExpiresAt: codeExpiryTime(session)
+    }));
+    
+    // Notify all devices of new connection
+    broadcastToSession(sessionCode, {
+        type: 'device_joined',
+        device: {
+            id: deviceId,
+            name,
+            type
+        },
+        totalDevices: session.devices.size
+    }, deviceId);
+    sendDeviceList(sessionCode);
+    
+    // Send existing files to new device
+    sendExistingFiles(ws, session, deviceId);
+    
+    console.log(`${name} joined session ${sessionCode}`);
+}
+
+// The devices of a session as peers see them
+function deviceSummaries(session) {
+    return Array.from(session.devices.values()).map(device => ({
+        id: device.id,
+        name: device.name,
+        type: device.type,
+        connectedAt: device.connectedAt,
+        online: deviceOnline(device),
+        isHost: session.hostId === device.id
+    }));
+}
+
+// Push the full roster to every device in the session
+function sendDeviceList(sessionCode) {
+    const session = sessions.get(sessionCode);
+    if (!session) return;
+    
+    broadcastToSession(sessionCode, {
+        type: 'device_list',
+        devices: deviceSummaries(session)
+    });
+}
+
+// Ask the session host to accept or reject a waiting device
+function sendJoinRequest(sessionCode, session, deviceId) {
+    const host = session.devices.get(session.hostId);
+    const pending = session.pendingJoins.get(deviceId);
+    if (!host || !pending || !deviceOnline(host)) return;
+    
+    sendToDevices(sessionCode, [host.id], {
+        type: 'join_request',
+        device: {
+            id: deviceId,
+            name: pending.name,
+            type: pending.type
+        }
+    });
+}
+
+// Let a waiting device in, or tell it the host said no; false when it isn't waiting on this process
+function decideJoin(sessionCode, session, deviceId, approved) {
+    const pending = session.pendingJoins.get(deviceId);
+    if (!pending) return false;
+    session.pendingJoins.delete(deviceId);
+    
+    if (approved) {
+        admitDevice(pending.ws, deviceId, sessionCode, pending.name, pending.type);
+    } else {
+        if (pending.ws.readyState === WebSocket.OPEN) {
+            pending.ws.send(JSON.stringify({
+                type: 'session_error',
+                code: 'join_rejected',
+                error: 'The host declined your request to join.'
+            }));
+        }
+        console.log(`${pending.name} was not let into session ${sessionCode}`);
+    }
+    return true;
+}
+
+// HTTP access needs the PIN when one is set; approval-only sessions can't be reached over HTTP
+async function checkHttpAccess(session, req, res) {
+    // The code in the URL is what grants access, so an expired one is as good as a wrong one
+    if (codeExpired(session)) {
+        res.status(404).json({ code: 'code_expired', error: 'This session code has expired' });
+        return false;
+    }
+    if (session.requireApproval && !session.pinHash) {
+        res.status(403).json({ error: 'This session only admits devices approved by the host' });
+        return false;
+    }
+    if (!await checkPin(session, req.get('X-Session-Pin') || req.query.pin)) {
+        res.status(401).json({ error: 'PIN required (X-Session-Pin header or ?pin=)' });
+        return false;
+    }
+    return true;
+}
+
 // Broadcast message to all devices in a session except excluded one
 function broadcastToSession(sessionCode, message, excludeId = null) {
     const session = sessions.get(sessionCode);
     if (!session) return;
     
+    deliverLocally(sessionCode, message, { excludeId });
+    if (hasRemoteDevices(session)) {
+        publishEvent({ type: 'deliver', sessionCode, message, excludeId });
+    }
+}
+
+// Send to the devices that can see a file: the whole session, or its recipients and uploader
+function sendToFileAudience(sessionCode, file, message, excludeId = null) {
+    if (!file.recipients) {
+        broadcastToSession(sessionCode, message, excludeId);
+        return;
+    }
+    const ids = file.recipients.map(recipient => recipient.id).concat(file.uploaderId || []);
+    sendToDevices(sessionCode, ids.filter(id => id !== excludeId), message);
+}
+
+// Send a message to the listed devices of a session only
+function sendToDevices(sessionCode, deviceIds, message) {
+    const session = sessions.get(sessionCode);
+    if (!session) return;
+    
+    deliverLocally(sessionCode, message, { deviceIds });
+    if (hasRemoteDevices(session, deviceIds)) {
+        publishEvent({ type: 'deliver', sessionCode, message, deviceIds });
+    }
+}
+
+// Send to the session's devices connected to this process (all of them, or the listed ones)
+function deliverLocally(sessionCode, message, { excludeId = null, deviceIds = null } = {}) {
+    const session = sessions.get(sessionCode);
+    if (!session) return;
+    
     const messageStr = JSON.stringify(message);
-    session.devices.forEach((device, id) => {
-        if (id !== excludeId && device.ws.readyState === WebSocket.OPEN) {
+    const devices = deviceIds ? deviceIds.map(id => session.devices.get(id)) : Array.from(session.devices.values());
+    devices.forEach(device => {
+        if (device && device.id !== excludeId && device.ws?.readyState === WebSocket.OPEN) {
             device.ws.send(messageStr);
         }
     });
 }
 
+// Whether any of the session's devices (or of the listed ones) are connected to another process
+function hasRemoteDevices(session, deviceIds = null) {
+    const ids = deviceIds || Array.from(session.devices.keys());
+    return ids.some(id => {
+        const device = session.devices.get(id);
+        return device && device.instanceId !== INSTANCE_ID;
+    });
+}
+
+// Resolve the stable device identity for a new socket from its ?token= query
+function resolveDeviceIdentity(req) {
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    const known = token && deviceTokens.get(token);
+    
+    // Unknown or expired token: issue a new identity
+    if (!known) {
+        const identity = { deviceId: uuidv4(), lastSeen: Date.now() };
+        const newToken = uuidv4();
+        deviceTokens.set(newToken, identity);
+        persistSessions();
+        return { token: newToken, deviceId: identity.deviceId };
+    }
+    
+    known.lastSeen = Date.now();
+    return { token, deviceId: known.deviceId };
+}
+
+// Reattach a reconnected socket to the session its device was in, if it is still held
+function restoreDevice(ws, deviceId) {
+    const sessionCode = deviceToSession.get(deviceId);
+    const session = sessionCode && sessions.get(sessionCode);
+    const device = session && session.devices.get(deviceId);
+    if (!device) return null;
+    
+    clearTimeout(device.disconnectTimer);
+    device.disconnectTimer = null;
+    device.ws = ws;
+    shareDevice(sessionCode, device);
+    
+    ws.send(JSON.stringify({
+        type: 'session_joined',
+        sessionCode,
+        deviceId,
+        connectedDevices: session.devices.size,
+        devices: deviceSummaries(session),
+        isHost: session.hostId === deviceId,
+        linkToken: session.linkToken,
+        codeExpiresAt: codeExpiryTime(session),
+        restored: true
+    }));
+    sendExistingFiles(ws, session, deviceId);
+    
+    broadcastToSession(sessionCode, {
+        type: 'device_reconnected',
+        device: {
+            id: deviceId,
+            name: device.name,
+            type: device.type
+        },
+        totalDevices: session.devices.size
+    }, deviceId);
+    sendDeviceList(sessionCode);
+    
+    // Re-show any join requests the host missed while away
+    if (session.hostId === deviceId) {
+        session.pendingJoins.forEach((pending, pendingId) => sendJoinRequest(sessionCode, session, pendingId));
+    }
+    
+    console.log(`Device ${deviceId} reconnected to session ${sessionCode}`);
+    return sessionCode;
+}
+
+// Drop a device from its session for good and notify the rest
+function removeDeviceFromSession(deviceId) {
+    const sessionCode = deviceToSession.get(deviceId);
+    deviceToSession.delete(deviceId);
+    if (!sessionCode) return;
+    
+    const session = sessions.get(sessionCode);
+    if (!session) return;
+    
+    session.devices.delete(deviceId);
+    unshareDevice(sessionCode, deviceId);
+    persistSessions();
+    console.log(`Device ${deviceId} left session ${sessionCode}`);
+    
+    // Longest-connected remaining device takes over approving joins
+    if (session.hostId === deviceId) {
+        const nextHost = session.devices.keys().next().value;
+        session.hostId = nextHost || null;
+        shareSession(sessionCode, session);
+        if (nextHost) {
+            sendToDevices(sessionCode, [nextHost], { type: 'host_changed', isHost: true });
+            session.pendingJoins.forEach((pending, pendingId) => sendJoinRequest(sessionCode, session, pendingId));
+        }
+    }
+    
+    // Notify remaining devices in session
+    broadcastToSession(sessionCode, {
+        type: 'device_left',
+        deviceId,
+        totalDevices: session.devices.size
+    });
+    sendDeviceList(sessionCode);
+    
+    // Clean up empty sessions after 5 minutes
+    if (session.devices.size === 0) {
+        setTimeout(() => {
+            const currentSession = sessions.get(sessionCode);
+            if (currentSession && currentSession.devices.size === 0) {
+                deleteSession(sessionCode);
+                console.log(`Session ${sessionCode} cleaned up (empty)`);
+            }
+        }, 5 * 60 * 1000);
+    }
+}
+
+// Send the files already in a session to a device that just (re)joined. Sent even when there are
+// none: the list is complete, so the device can forget files removed while it was away
+function sendExistingFiles(ws, session, deviceId) {
+    const existingFiles = Array.from(session.files.values())
+        .filter(f => f.complete && canAccessFile(f, deviceId))
+        .map(fileMetadata);
+    ws.send(JSON.stringify({
+        type: 'existing_files',
+        files: existingFiles
+    }));
+}
+
 // WebSocket connection handling
 wss.on('connection', (ws, req) => {
-    const deviceId = uuidv4();
+    ws.clientIp = clientIp(req);
+    if (!RATE_LIMITS.connections.take(ws.clientIp)) {
+        console.log(`Rate limited ${ws.clientIp}: too many connections`);
+        ws.close(1008, 'Too many connections');
+        return;
+    }
+    
+    const { token, deviceId } = resolveDeviceIdentity(req);
+    
+    // A half-open socket from before the drop is replaced by this one. So is the socket of a tab that
+    // was duplicated (the copy carries its token); that tab then comes back as a new device
+    const previousSocket = liveSockets.get(deviceId);
+    if (previousSocket) {
+        previousSocket.close(4000, 'Replaced by a newer connection');
+    }
+    liveSockets.set(deviceId, ws);
     
     console.log(`Device connected: ${deviceId}`);
+    
+    const restoredSession = restoreDevice(ws, deviceId);
+    ws.send(JSON.stringify({
+        type: 'identity',
+        deviceId,
+        deviceToken: token,
+        sessionCode: restoredSession
+    }));
 
     ws.on('message', (data, isBinary) => {
         // Handle binary data (file chunks)
@@ -163,218 +1507,399 @@ wss.on('connection', (ws, req) => {
             return;
         }
 
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (err) {
+            rejectMessage(ws, { code: 'invalid_json', error: 'Messages must be valid JSON.' });
+            return;
+        }
+        
+        // Download acks are flow control, like file chunks, and aren't counted
+        if (message?.type !== 'download_ack' && !RATE_LIMITS.messages.take(deviceId)) {
+            turnAway(ws, 'rate_limited', 'messages', RATE_LIMITS.messages.retryAfter(deviceId));
+            return;
+        }
+        
+        const { message: checked, rejection } = validateMessage(message);
+        if (rejection) {
+            rejectMessage(ws, rejection, message);
+            return;
+        }
         try {
-            const message = JSON.parse(data.toString());
-            handleJsonMessage(ws, deviceId, message);
+            handleJsonMessage(ws, deviceId, checked);
         } catch (err) {
-            console.error('Failed to parse message:', err);
+            console.error(`Failed to handle ${checked.type} message:`, err);
+        }
+    });
+
+    ws.on('close', () => {
+        // Replaced by a newer socket for the same device: nothing to clean up
+        if (liveSockets.get(deviceId) !== ws) {
+            console.log(`Device socket replaced: ${deviceId}`);
+            return;
+        }
+        liveSockets.delete(deviceId);
+        const identity = deviceTokens.get(token);
+        if (identity) identity.lastSeen = Date.now();
+        
+        // Withdraw any join request this socket was waiting on
+        sessions.forEach((session, sessionCode) => {
+            const pending = session.pendingJoins.get(deviceId);
+            if (pending && pending.ws === ws) {
+                session.pendingJoins.delete(deviceId);
+                if (session.hostId) {
+                    sendToDevices(sessionCode, [session.hostId], { type: 'join_request_cancelled', deviceId });
+                }
+            }
+        });
+        
+        // Keep the device's place for a while so a quick reconnect is seamless
+        const sessionCode = deviceToSession.get(deviceId);
+        const session = sessionCode && sessions.get(sessionCode);
+        const device = session && session.devices.get(deviceId);
+        if (device) {
+            device.disconnectTimer = setTimeout(() => removeDeviceFromSession(deviceId), RECONNECT_GRACE_MS);
+            // Peers see it as offline until it comes back or the grace period ends
+            shareDevice(sessionCode, device);
+            sendDeviceList(sessionCode);
+        } else {
+            deviceToSession.delete(deviceId);
+        }
+        console.log(`Device disconnected: ${deviceId}`);
+    });
+
+    ws.on('error', (err) => {
+        console.error('WebSocket error:', err);
+    });
+});
+
+function handleJsonMessage(ws, deviceId, message) {
+    switch (message.type) {
+        case 'create_session':
+            createSession(ws, deviceId, message);
+            break;
+
+        case 'join_session':
+            // Join existing session
+            joinSession(ws, deviceId, message);
+            break;
+
+        case 'join_response': {
+            // Host accepting or rejecting a pending join request
+            const sessionCode = deviceToSession.get(deviceId);
+            if (!sessionCode) return;
+            
+            const session = sessions.get(sessionCode);
+            if (!session || session.hostId !== deviceId) return;
+            
+            // The waiting device may be connected to another process
+            const { approved } = message;
+            if (!decideJoin(sessionCode, session, message.deviceId, approved)) {
+                publishEvent({ type: 'join_decision', sessionCode, deviceId: message.deviceId, approved });
+            }
+            break;
+        }
+
+        case 'file_start': {
+            // New file upload starting
+            const sessionCode = deviceToSession.get(deviceId);
+            if (!sessionCode) return;
+            
+            const session = sessions.get(sessionCode);
+            if (!session) return;
+            
+            const requestId = message.requestId || null;
+            
+            // A repeated start (e.g. the ack was lost in a reconnect) picks up the existing upload
+            const existing = requestId && findUploadByRequest(session, deviceId, requestId);
+            if (existing) {
+                ws.send(JSON.stringify({
+                    type: 'file_start_ack',
+                    requestId,
+                    fileId: existing.id,
+                    fileName: existing.originalName,
+                    offset: existing.receivedSize
+                }));
+                return;
+            }
+            
+            // Sending to particular devices: they must still be in the session
+            const recipients = resolveRecipients(session, message.recipients, deviceId);
+            if (recipients && recipients.length === 0) {
+                ws.send(JSON.stringify({
+                    type: 'upload_error',
+                    requestId,
+                    fileName: message.fileName,
+                    code: 'recipients_unavailable',
+                    error: 'None of the chosen devices are in the session any more.'
+                }));
+                return;
+            }
+            
+            const rejection = checkUploadLimits(session, message.fileSize);
+            if (rejection) {
+                ws.send(JSON.stringify({
+                    type: 'upload_error',
+                    requestId,
+                    fileName: message.fileName,
+                    ...rejection
+                }));
+                return;
+            }
+            
+            const file = createFileRecord(sessionCode, session, {
+                fileName: message.fileName,
+                fileSize: message.fileSize,
+                mimeType: message.mimeType || 'application/octet-stream',
+                uploaderId: deviceId,
+                encryption: message.encryption || null,
+                requestId,
+                recipients,
+                relativePath: cleanRelativePath(message.relativePath),
+                ttlMinutes: fileTtlMinutes(message.ttlMinutes),
+                pinned: message.pinned === true
+            });
+            
+            // Confirm to uploader
+            ws.send(JSON.stringify({
+                type: 'file_start_ack',
+                requestId,
+                fileId: file.id,
+                fileName: message.fileName,
+                offset: 0
+            }));
+            break;
         }
-    });
 
-    ws.on('close', () => {
-        const sessionCode = deviceToSession.get(deviceId);
-        if (sessionCode) {
+        case 'send_text': {
+            // Text snippet (a link, a code, a note) shared straight into the file list
+            const sessionCode = deviceToSession.get(deviceId);
+            if (!sessionCode) return;
+            
             const session = sessions.get(sessionCode);
-            if (session) {
-                session.devices.delete(deviceId);
-                console.log(`Device ${deviceId} left session ${sessionCode}`);
-                
-                // Notify remaining devices in session
-                broadcastToSession(sessionCode, {
-                    type: 'device_left',
-                    deviceId,
-                    totalDevices: session.devices.size
-                });
-                
-                // Clean up empty sessions after 5 minutes
-                if (session.devices.size === 0) {
-                    setTimeout(() => {
-                        const currentSession = sessions.get(sessionCode);
-                        if (currentSession && currentSession.devices.size === 0) {
-                            sessions.delete(sessionCode);
-                            console.log(`Session ${sessionCode} cleaned up (empty)`);
-                        }
-                    }, 5 * 60 * 1000);
-                }
+            if (!session) return;
+            
+            const { text } = message;
+            const reject = (code, error) => ws.send(JSON.stringify({
+                type: 'upload_error',
+                fileName: 'Text',
+                code,
+                error
+            }));
+            
+            if (!text.trim() || text.length > MAX_TEXT_LENGTH) {
+                reject('invalid_text', `Text must be between 1 and ${MAX_TEXT_LENGTH} characters.`);
+                return;
             }
-        }
-        deviceToSession.delete(deviceId);
-        console.log(`Device disconnected: ${deviceId}`);
-    });
-
-    ws.on('error', (err) => {
-        console.error('WebSocket error:', err);
-    });
-});
-
-function handleJsonMessage(ws, deviceId, message) {
-    switch (message.type) {
-        case 'create_session': {
-            // Create a new session
-            let sessionCode = generateSessionCode();
-            while (sessions.has(sessionCode)) {
-                sessionCode = generateSessionCode();
+            
+            const recipients = resolveRecipients(session, message.recipients, deviceId);
+            if (recipients && recipients.length === 0) {
+                reject('recipients_unavailable', 'None of the chosen devices are in the session any more.');
+                return;
             }
             
-            sessions.set(sessionCode, {
-                devices: new Map(),
-                files: new Map(),
-                createdAt: new Date().toISOString()
+            const rejection = checkUploadLimits(session, Buffer.byteLength(text));
+            if (rejection) {
+                reject(rejection.code, rejection.error);
+                return;
+            }
+            
+            const file = createTextRecord(session, {
+                text,
+                uploaderId: deviceId,
+                encryption: message.encryption || null,
+                recipients,
+                ttlMinutes: fileTtlMinutes(message.ttlMinutes),
+                pinned: message.pinned === true
             });
+            publishFile(sessionCode, file, deviceId);
+            ws.send(JSON.stringify({
+                type: 'text_sent',
+                file: fileMetadata(file)
+            }));
+            break;
+        }
+
+        case 'cancel_upload': {
+            // Uploader abandoned an unfinished upload; drop the partial file
+            const sessionCode = deviceToSession.get(deviceId);
+            if (!sessionCode) return;
             
-            // Register device in session
             const session = sessions.get(sessionCode);
-            session.devices.set(deviceId, {
-                id: deviceId,
-                ws,
-                name: message.deviceName || 'Unknown Device',
-                type: message.deviceType || 'unknown',
-                connectedAt: new Date().toISOString()
-            });
-            deviceToSession.set(deviceId, sessionCode);
+            if (!session) return;
             
-            // Increment stats
-            stats.totalUsers++;
-            stats.totalSessions++;
-            saveStats();
+            const file = session.files.get(message.fileId);
+            if (!file || file.complete || file.uploaderId !== deviceId) return;
             
-            ws.send(JSON.stringify({
-                type: 'session_created',
-                sessionCode,
-                deviceId,
-                connectedDevices: session.devices.size
-            }));
+            deleteFile(sessionCode, session, file.id);
+            console.log(`Upload cancelled in session ${sessionCode}: ${file.originalName}`);
+            break;
+        }
+
+        case 'file_complete': {
+            // File upload complete
+            const sessionCode = deviceToSession.get(deviceId);
+            if (!sessionCode) return;
+            
+            const session = sessions.get(sessionCode);
+            if (!session) return;
             
-            console.log(`Session ${sessionCode} created by ${message.deviceName}`);
+            const file = session.files.get(message.fileId);
+            if (file && file.writer && file.receivedSize !== file.size) {
+                rejectUpload(ws, sessionCode, session, file, 'size_mismatch',
+                    `Upload ended at ${formatBytes(file.receivedSize)} but ${formatBytes(file.size)} was declared.`);
+                return;
+            }
+            if (file && file.writer) {
+                // Flush remaining chunks to disk before announcing the file
+                const writer = file.writer;
+                file.writer = null;
+                writer.end(() => {
+                    // File may have been deleted while flushing
+                    if (session.files.get(file.id) !== file) return;
+                    finalizeHash(file, message.sha256);
+                    file.thumbnail = cleanThumbnail(message.thumbnail);
+                    
+                    // Notify all other devices in session
+                    publishFile(sessionCode, file, deviceId);
+                    
+                    // Confirm to uploader
+                    if (ws.readyState === WebSocket.OPEN) {
+                        ws.send(JSON.stringify({
+                            type: 'file_complete_ack',
+                            requestId: file.requestId,
+                            fileId: file.id,
+                            sha256: file.sha256,
+                            corrupt: file.corrupt,
+                            file: fileMetadata(file)
+                        }));
+                    }
+                });
+            }
             break;
         }
 
-        case 'join_session': {
-            // Join existing session
-            const sessionCode = message.sessionCode?.toUpperCase();
+        case 'resume_upload': {
+            // Reconnected uploader asking where an interrupted upload stopped
+            const sessionCode = deviceToSession.get(deviceId);
+            if (!sessionCode) return;
+            
             const session = sessions.get(sessionCode);
+            if (!session) return;
             
-            if (!session) {
+            // Only the device that started an upload may carry it on, and a finished one is only
+            // described to devices that could download it; anyone else hears it is gone
+            const file = session.files.get(message.fileId);
+            const allowed = file && (file.complete ? canAccessFile(file, deviceId) : file.uploaderId === deviceId);
+            if (!allowed) {
                 ws.send(JSON.stringify({
-                    type: 'session_error',
-                    error: 'Session not found. Check the code and try again.'
+                    type: 'upload_resume_failed',
+                    requestId: message.requestId,
+                    fileId: message.fileId
                 }));
                 return;
             }
             
-            // Register device in session
-            session.devices.set(deviceId, {
-                id: deviceId,
-                ws,
-                name: message.deviceName || 'Unknown Device',
-                type: message.deviceType || 'unknown',
-                connectedAt: new Date().toISOString()
-            });
-            deviceToSession.set(deviceId, sessionCode);
-            
-            // Increment user count
-            stats.totalUsers++;
-            saveStats();
+            if (file.complete) {
+                ws.send(JSON.stringify({
+                    type: 'file_complete_ack',
+                    requestId: file.requestId,
+                    fileId: file.id,
+                    sha256: file.sha256,
+                    corrupt: file.corrupt,
+                    file: fileMetadata(file)
+                }));
+                return;
+            }
             
+            file.lastChunkAt = Date.now();
             ws.send(JSON.stringify({
-                type: 'session_joined',
-                sessionCode,
-                deviceId,
-                connectedDevices: session.devices.size
+                type: 'upload_resume_ack',
+                requestId: file.requestId,
+                fileId: file.id,
+                fileName: file.originalName,
+                offset: file.receivedSize
             }));
+            console.log(`Resuming upload ${file.originalName} at ${formatBytes(file.receivedSize)}`);
+            break;
+        }
+
+        case 'rtc_signal': {
+            // Relay WebRTC offer/answer/ICE between two devices in the same session
+            const sessionCode = deviceToSession.get(deviceId);
+            if (!sessionCode) return;
             
-            // Notify all devices of new connection
-            broadcastToSession(sessionCode, {
-                type: 'device_joined',
-                device: {
-                    id: deviceId,
-                    name: message.deviceName,
-                    type: message.deviceType
-                },
-                totalDevices: session.devices.size
-            }, deviceId);
-            
-            // Send existing files to new device
-            const existingFiles = Array.from(session.files.values()).map(f => ({
-                id: f.id,
-                originalName: f.originalName,
-                size: f.size,
-                mimetype: f.mimetype,
-                uploadedAt: f.uploadedAt
-            }));
-            if (existingFiles.length > 0) {
+            const session = sessions.get(sessionCode);
+            if (!session) return;
+            
+            const target = session.devices.get(message.targetId);
+            if (target && deviceOnline(target)) {
+                sendToDevices(sessionCode, [target.id], {
+                    type: 'rtc_signal',
+                    fromId: deviceId,
+                    signal: message.signal
+                });
+            } else {
+                // Peer is offline: answer for it so the requester falls back to the relay
                 ws.send(JSON.stringify({
-                    type: 'existing_files',
-                    files: existingFiles
+                    type: 'rtc_signal',
+                    fromId: message.targetId,
+                    signal: { kind: 'decline', transferId: message.signal && message.signal.transferId }
                 }));
             }
-            
-            console.log(`${message.deviceName} joined session ${sessionCode}`);
             break;
         }
 
-        case 'file_start': {
-            // New file upload starting
+        case 'request_download': {
+            // Device wants to save a file: hand it a signed link for the browser to fetch
             const sessionCode = deviceToSession.get(deviceId);
             if (!sessionCode) return;
             
             const session = sessions.get(sessionCode);
             if (!session) return;
             
-            const fileId = uuidv4();
-            session.files.set(fileId, {
-                id: fileId,
-                originalName: message.fileName,
-                size: message.fileSize,
-                mimetype: message.mimeType,
-                uploadedAt: new Date().toISOString(),
-                chunks: [],
-                receivedSize: 0,
-                uploaderId: deviceId
-            });
-            
-            // Confirm to uploader
-            ws.send(JSON.stringify({
-                type: 'file_start_ack',
-                fileId,
-                fileName: message.fileName
-            }));
+            const file = session.files.get(message.fileId);
+            if (file && file.complete && canAccessFile(file, deviceId)) {
+                ws.send(JSON.stringify({
+                    type: 'download_url',
+                    fileId: file.id,
+                    url: createDownloadUrl(sessionCode, file.id)
+                }));
+            }
             break;
         }
 
-        case 'file_complete': {
-            // File upload complete
+        case 'request_zip': {
+            // Device wants several files at once (a folder, a selection or everything):
+            // hand it a signed link to a streamed ZIP
             const sessionCode = deviceToSession.get(deviceId);
             if (!sessionCode) return;
             
             const session = sessions.get(sessionCode);
             if (!session) return;
             
-            const file = session.files.get(message.fileId);
-            if (file) {
-                // Combine all chunks
-                file.data = Buffer.concat(file.chunks);
-                file.chunks = []; // Free chunk memory
-                
-                // Notify all other devices in session
-                broadcastToSession(sessionCode, {
-                    type: 'new_file',
-                    file: {
-                        id: file.id,
-                        originalName: file.originalName,
-                        size: file.size,
-                        mimetype: file.mimetype,
-                        uploadedAt: file.uploadedAt
-                    }
-                }, deviceId);
-                
-                // Confirm to uploader
+            const folder = message.folder || null;
+            const ids = message.fileIds || null;
+            const fileIds = selectZipFiles(session, { folder, ids }, f => canAccessFile(f, deviceId))
+                .map(f => f.id);
+            if (fileIds.length > 0) {
                 ws.send(JSON.stringify({
-                    type: 'file_complete_ack',
-                    fileId: message.fileId
+                    type: 'download_url',
+                    url: createZipUrl(sessionCode, fileIds, zipName(sessionCode, folder))
                 }));
-                
-                console.log(`File uploaded in session ${sessionCode}: ${file.originalName} (${formatBytes(file.size)})`);
+            }
+            break;
+        }
+
+        case 'download_ack': {
+            // Device confirming how much of a relayed download it has received
+            const transfer = ws.downloads && ws.downloads.get(message.fileId);
+            if (!transfer) return;
+            
+            transfer.acked = Math.max(transfer.acked, message.received);
+            if (transfer.reader.isPaused() && transfer.sent - transfer.acked <= DOWNLOAD_WINDOW_BYTES) {
+                transfer.reader.resume();
             }
             break;
         }
@@ -388,38 +1913,9 @@ function handleJsonMessage(ws, deviceId, message) {
             if (!session) return;
             
             const requestedFile = session.files.get(message.fileId);
-            if (requestedFile && requestedFile.data) {
-                // Send file metadata first
-                ws.send(JSON.stringify({
-                    type: 'file_download_start',
-                    fileId: requestedFile.id,
-                    fileName: requestedFile.originalName,
-                    fileSize: requestedFile.size,
-                    mimeType: requestedFile.mimetype
-                }));
-                
-                // Send file data in chunks
-                const chunkSize = 64 * 1024; // 64KB chunks
-                const totalChunks = Math.ceil(requestedFile.data.length / chunkSize);
-                
-                for (let i = 0; i < totalChunks; i++) {
-                    const start = i * chunkSize;
-                    const end = Math.min(start + chunkSize, requestedFile.data.length);
-                    const chunk = requestedFile.data.slice(start, end);
-                    
-                    // Send chunk with header
-                    const header = Buffer.alloc(36); // fileId (36 bytes UUID)
-                    header.write(requestedFile.id);
-                    const packet = Buffer.concat([header, chunk]);
-                    
-                    ws.send(packet);
-                }
-                
-                // Send completion
-                ws.send(JSON.stringify({
-                    type: 'file_download_complete',
-                    fileId: requestedFile.id
-                }));
+            if (requestedFile && requestedFile.complete && requestedFile.kind === 'file' &&
+                canAccessFile(requestedFile, deviceId)) {
+                sendStoredFile(ws, sessionCode, requestedFile);
             }
             break;
         }
@@ -431,8 +1927,9 @@ function handleJsonMessage(ws, deviceId, message) {
             const session = sessions.get(sessionCode);
             if (!session) return;
             
-            if (session.files.has(message.fileId)) {
-                session.files.delete(message.fileId);
+            const file = session.files.get(message.fileId);
+            if (file && canAccessFile(file, deviceId)) {
+                deleteFile(sessionCode, session, message.fileId);
                 broadcastToSession(sessionCode, {
                     type: 'file_removed',
                     fileId: message.fileId
@@ -441,38 +1938,404 @@ function handleJsonMessage(ws, deviceId, message) {
             break;
         }
 
+        case 'pin_file': {
+            // Pinned files stay until the session ends; unpinning restarts the file's countdown
+            const sessionCode = deviceToSession.get(deviceId);
+            if (!sessionCode) return;
+            
+            const session = sessions.get(sessionCode);
+            if (!session) return;
+            
+            const file = session.files.get(message.fileId);
+            if (!file || !file.complete || !canAccessFile(file, deviceId)) return;
+            
+            file.pinned = message.pinned === true;
+            scheduleExpiry(file);
+            shareFile(sessionCode, file);
+            persistSessions();
+            sendToFileAudience(sessionCode, file, {
+                type: 'file_expiry',
+                fileId: file.id,
+                pinned: file.pinned,
+                expiresAt: expiryTime(file)
+            });
+            break;
+        }
+
+        case 'rename_device': {
+            const sessionCode = deviceToSession.get(deviceId);
+            if (!sessionCode) return;
+            
+            const session = sessions.get(sessionCode);
+            const device = session && session.devices.get(deviceId);
+            if (!device) return;
+            
+            // Already cleaned, and never empty (see lib/protocol.js)
+            const { name } = message;
+            console.log(`Device ${deviceId} renamed: ${device.name} -> ${name}`);
+            device.name = name;
+            shareDevice(sessionCode, device);
+            persistSessions();
+            sendDeviceList(sessionCode);
+            break;
+        }
+
         case 'ping':
             ws.send(JSON.stringify({ type: 'pong' }));
             break;
     }
 }
 
-function handleBinaryMessage(ws, deviceId, data) {
-    const sessionCode = deviceToSession.get(deviceId);
-    if (!sessionCode) return;
+// Create a session with the device as its host
+async function createSession(ws, deviceId, message) {
+    if (!RATE_LIMITS.sessionsCreated.take(ws.clientIp)) {
+        turnAway(ws, 'session_error', 'new sessions', RATE_LIMITS.sessionsCreated.retryAfter(ws.clientIp));
+        return;
+    }
     
-    const session = sessions.get(sessionCode);
-    if (!session) return;
+    // Optional PIN and host approval protect who can get in
+    const pin = message.pin || '';
+    if (pin && !/^\d{4,8}$/.test(pin)) {
+        ws.send(JSON.stringify({
+            type: 'session_error',
+            code: 'invalid_pin_format',
+            error: 'PIN must be 4 to 8 digits.'
+        }));
+        return;
+    }
+    
+    const session = {
+        devices: new Map(),
+        files: new Map(),
+        createdAt: new Date().toISOString(),
+        pinHash: pin ? await hashPin(pin) : null,
+        requireApproval: !!message.requireApproval,
+        hostId: deviceId,
+        linkToken: generateLinkToken(),
+        codeExpiresAt: SESSION_CODE_TTL_MINUTES ? Date.now() + SESSION_CODE_TTL_MINUTES * 60 * 1000 : null,
+        pendingJoins: new Map() // deviceId -> { ws, name, type }
+    };
+    const sessionCode = await claimSessionCode(session);
+    if (!sessionCode) {
+        ws.send(JSON.stringify({
+            type: 'session_error',
+            code: 'session_unavailable',
+            error: 'Could not create a session right now. Try again.'
+        }));
+        return;
+    }
+    if (ws.readyState !== WebSocket.OPEN) {
+        unshareSession(sessionCode, session);
+        return;
+    }
+    sessions.set(sessionCode, session);
+    
+    // Register device in session
+    session.devices.set(deviceId, {
+        id: deviceId,
+        ws,
+        name: message.deviceName || 'Unknown Device',
+        type: message.deviceType || 'unknown',
+        connectedAt: new Date().toISOString(),
+        instanceId: INSTANCE_ID
+    });
+    deviceToSession.set(deviceId, sessionCode);
+    shareSession(sessionCode, session);
+    shareDevice(sessionCode, session.devices.get(deviceId));
+    persistSessions();
+    
+    // Increment stats
+    stats.totalUsers++;
+    stats.totalSessions++;
+    saveStats();
+    
+    ws.send(JSON.stringify({
+        type: 'session_created',
+        sessionCode,
+        deviceId,
+        connectedDevices: session.devices.size,
+        devices: deviceSummaries(session),
+        hasPin: !!session.pinHash,
+        requireApproval: session.requireApproval,
+        linkToken: session.linkToken,
+        codeExpiresAt: codeExpiryTime(session)
+    }));
+    
+    console.log(`Session ${sessionCode} created by ${session.devices.get(deviceId).name}`);
+}
+
+// Join an existing session by its code or link token, loading it from the shared registry if
+// another process created it
+async function joinSession(ws, deviceId, message) {
+    const ip = ws.clientIp;
+    const wait = RATE_LIMITS.failedJoins.retryAfter(ip) ||
+        (RATE_LIMITS.joins.take(ip) ? 0 : RATE_LIMITS.joins.retryAfter(ip));
+    if (wait > 0) {
+        turnAway(ws, 'session_error', 'attempts to join', wait);
+        return;
+    }
+    
+    const byLink = message.linkToken !== undefined;
+    const sessionCode = byLink ? await findSessionByLink(message.linkToken) : message.sessionCode?.toUpperCase();
+    const session = await loadSession(sessionCode);
+    if (ws.readyState !== WebSocket.OPEN) return;
+    
+    if (!session) {
+        RATE_LIMITS.failedJoins.take(ip);
+        ws.send(JSON.stringify({
+            type: 'session_error',
+            code: byLink ? 'link_invalid' : 'session_not_found',
+            error: byLink
+                ? 'This session link is invalid or the session has ended.'
+                : 'Session not found. Check the code and try again.'
+        }));
+        return;
+    }
+    
+    // Devices already in the session can always get back in with the code
+    if (!byLink && codeExpired(session) && !session.devices.has(deviceId)) {
+        RATE_LIMITS.failedJoins.take(ip);
+        ws.send(JSON.stringify({
+            type: 'session_error',
+            code: 'code_expired',
+            error: 'This session code has expired. Ask for the session link or QR code instead.'
+        }));
+        return;
+    }
+    
+    // The session may have ended while the PIN was being checked
+    const pinAccepted = await checkPin(session, message.pin);
+    if (ws.readyState !== WebSocket.OPEN || sessions.get(sessionCode) !== session) return;
+    if (!pinAccepted) {
+        // Being asked for the PIN the first time isn't a failure
+        if (message.pin) RATE_LIMITS.failedJoins.take(ip);
+        ws.send(JSON.stringify({
+            type: 'session_error',
+            code: message.pin ? 'pin_invalid' : 'pin_required',
+            sessionCode,
+            error: message.pin ? 'Wrong PIN. Try again.' : 'This session is protected by a PIN.'
+        }));
+        return;
+    }
+    
+    const name = message.deviceName || 'Unknown Device';
+    const type = message.deviceType || 'unknown';
+    
+    // Wait for the host to let this device in
+    if (session.requireApproval && !session.devices.has(deviceId)) {
+        session.pendingJoins.set(deviceId, { ws, name, type });
+        ws.send(JSON.stringify({
+            type: 'join_pending',
+            sessionCode
+        }));
+        sendJoinRequest(sessionCode, session, deviceId);
+        console.log(`${name} is waiting for approval to join session ${sessionCode}`);
+        return;
+    }
+    
+    admitDevice(ws, deviceId, sessionCode, name, type);
+}
+
+// Refuse a request over a rate limit, telling the socket when to try again; one that keeps
+// pushing regardless is disconnected
+function turnAway(ws, replyType, what, retryAfterMs) {
+    // Already being disconnected: the rest of what it sent is just dropped
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.rateStrikes = (ws.rateStrikes || 0) + 1;
+    if (ws.rateStrikes === 1) {
+        console.log(`Rate limited ${ws.clientIp}: ${what}`);
+    }
+    if (ws.rateStrikes >= MAX_RATE_STRIKES) {
+        console.warn(`Disconnecting ${ws.clientIp}: kept exceeding rate limits (${what})`);
+        ws.close(1008, 'Too many requests');
+        return;
+    }
+    
+    const seconds = Math.ceil(retryAfterMs / 1000);
+    ws.send(JSON.stringify({
+        type: replyType,
+        code: 'rate_limited',
+        error: `Too many ${what}. Try again in ${formatWait(seconds)}.`,
+        retryAfter: seconds
+    }));
+}
+
+// Refuse a message that doesn't follow the protocol with an `error` reply; the request and file IDs
+// it carried (if any) let the device tie the error to an upload
+function rejectMessage(ws, { code, error }, message = {}) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.protocolErrors = (ws.protocolErrors || 0) + 1;
+    if (ws.protocolErrors === 1) {
+        console.log(`Rejected message from ${ws.clientIp}: ${error}`);
+    }
     
+    const echo = value => typeof value === 'string' ? value.slice(0, 64) : undefined;
+    ws.send(JSON.stringify({
+        type: 'error',
+        code,
+        error,
+        replyTo: echo(message?.type),
+        requestId: echo(message?.requestId),
+        fileId: echo(message?.fileId)
+    }));
+}
+
+function handleBinaryMessage(ws, deviceId, data) {
     // First 36 bytes are the file ID
     const fileId = data.slice(0, 36).toString();
     const chunk = data.slice(36);
+    if (data.length < 36 || !isId(fileId)) {
+        rejectMessage(ws, { code: 'invalid_chunk', error: 'File chunks must start with the 36-character upload ID.' });
+        return;
+    }
     
-    const file = session.files.get(fileId);
-    if (file) {
-        file.chunks.push(chunk);
-        file.receivedSize += chunk.length;
+    // Chunks still in flight when an upload was cancelled or rejected land here too
+    const sessionCode = deviceToSession.get(deviceId);
+    const session = sessionCode && sessions.get(sessionCode);
+    const file = session && session.files.get(fileId);
+    if (!file || !file.writer || file.uploaderId !== deviceId) {
+        rejectMessage(ws, { code: 'upload_not_found', error: 'That upload is no longer in progress.' }, { fileId });
+        return;
+    }
+    
+    // Never store more than was declared (and checked against the limits)
+    if (file.receivedSize + chunk.length > file.size) {
+        rejectUpload(ws, sessionCode, session, file, 'size_mismatch',
+            `More data arrived than the declared ${formatBytes(file.size)}.`);
+        return;
+    }
+    
+    const flushed = file.writer.write(chunk);
+    file.hasher.update(chunk);
+    file.receivedSize += chunk.length;
+    file.lastChunkAt = Date.now();
+    
+    // Progress doubles as the uploader's credit: hold it back while the disk catches up
+    if (flushed) {
+        sendUploadProgress(ws, file);
+    } else if (!file.awaitingDrain) {
+        file.awaitingDrain = true;
+        file.writer.once('drain', () => {
+            file.awaitingDrain = false;
+            sendUploadProgress(ws, file);
+        });
+    }
+}
+
+// Tell the uploader how much is stored; it keeps at most a window of bytes unacknowledged
+function sendUploadProgress(ws, file) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.send(JSON.stringify({
+        type: 'upload_progress',
+        requestId: file.requestId,
+        fileId: file.id,
+        progress: file.size ? Math.round((file.receivedSize / file.size) * 100) : 100,
+        received: file.receivedSize,
+        total: file.size,
+        bytesPerSecond: measureThroughput(file, file.receivedSize)
+    }));
+}
+
+// Smoothed transfer rate in bytes per second, resampled at most every 500ms
+function measureThroughput(state, totalBytes) {
+    const now = Date.now();
+    if (!state.rateSampleAt) {
+        state.rateSampleAt = now;
+        state.rateSampleBytes = totalBytes;
+        state.bytesPerSecond = 0;
+        return 0;
+    }
+    
+    const elapsed = now - state.rateSampleAt;
+    if (elapsed >= 500) {
+        const rate = (totalBytes - state.rateSampleBytes) * 1000 / elapsed;
+        state.bytesPerSecond = Math.round(state.bytesPerSecond ? (state.bytesPerSecond + rate) / 2 : rate);
+        state.rateSampleAt = now;
+        state.rateSampleBytes = totalBytes;
+    }
+    return state.bytesPerSecond;
+}
+
+// Unfinished upload a device started under the given client request ID
+function findUploadByRequest(session, deviceId, requestId) {
+    for (const file of session.files.values()) {
+        if (!file.complete && file.uploaderId === deviceId && file.requestId === requestId) {
+            return file;
+        }
+    }
+    return null;
+}
+
+// Abort an upload in progress and tell the uploader why
+function rejectUpload(ws, sessionCode, session, file, code, error) {
+    deleteFile(sessionCode, session, file.id);
+    console.log(`Rejected upload ${file.originalName} in session ${sessionCode}: ${code}`);
+    ws.send(JSON.stringify({
+        type: 'upload_error',
+        requestId: file.requestId,
+        fileId: file.id,
+        fileName: file.originalName,
+        code,
+        error
+    }));
+}
+
+// Stream a stored file (from disk, or from the process holding it) to a device in 64KB chunks, paced by its download_ack messages
+function sendStoredFile(ws, sessionCode, file) {
+    // Asking for the same file again restarts the transfer
+    if (!ws.downloads) ws.downloads = new Map(); // fileId -> { reader, sent, acked }
+    const previous = ws.downloads.get(file.id);
+    if (previous) previous.reader.destroy();
+    
+    // Send file metadata first
+    ws.send(JSON.stringify({
+        type: 'file_download_start',
+        fileId: file.id,
+        fileName: file.originalName,
+        fileSize: file.size,
+        mimeType: file.mimetype
+    }));
+    
+    const header = Buffer.alloc(36); // fileId (36 bytes UUID)
+    header.write(file.id);
+    
+    const reader = openStoredFile(sessionCode, file, { highWaterMark: 64 * 1024 });
+    const transfer = { reader, sent: 0, acked: 0 };
+    ws.downloads.set(file.id, transfer);
+    
+    reader.on('data', (chunk) => {
+        if (ws.readyState !== WebSocket.OPEN) {
+            reader.destroy();
+            return;
+        }
+        ws.send(Buffer.concat([header, chunk]));
+        transfer.sent += chunk.length;
         
-        // Send progress to uploader
-        const progress = Math.round((file.receivedSize / file.size) * 100);
+        // Out of credit: wait for the device to acknowledge what it has received
+        if (transfer.sent - transfer.acked > DOWNLOAD_WINDOW_BYTES) {
+            reader.pause();
+        }
+    });
+    reader.on('close', () => {
+        if (ws.downloads.get(file.id) === transfer) {
+            ws.downloads.delete(file.id);
+        }
+    });
+    reader.on('end', () => {
+        if (ws.readyState !== WebSocket.OPEN) return;
         ws.send(JSON.stringify({
-            type: 'upload_progress',
-            fileId,
-            progress,
-            received: file.receivedSize,
-            total: file.size
+            type: 'file_download_complete',
+            fileId: file.id
         }));
-    }
+    });
+    reader.on('error', (err) => {
+        console.error(`Error reading file ${file.id}:`, err);
+    });
+}
+
+function formatWait(seconds) {
+    const [count, unit] = seconds < 60 ? [seconds, 'second'] : [Math.ceil(seconds / 60), 'minute'];
+    return `${count} ${unit}${count === 1 ? '' : 's'}`;
 }
 
 function formatBytes(bytes) {
@@ -483,35 +2346,72 @@ function formatBytes(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
 }
 
-// Clean up old sessions and files periodically (files older than 30 minutes)
+// Delete files whose time is up, warning the devices that can see them shortly before
 setInterval(() => {
-    const thirtyMinutesAgo = Date.now() - 30 * 60 * 1000;
+    const now = Date.now();
     
     sessions.forEach((session, sessionCode) => {
-        // Clean up old files in session
         session.files.forEach((file, fileId) => {
-            const uploadTime = new Date(file.uploadedAt).getTime();
-            if (uploadTime < thirtyMinutesAgo) {
-                session.files.delete(fileId);
+            // Each process looks after the files it stores
+            if (file.instanceId !== INSTANCE_ID) return;
+            
+            // Uploads abandoned part-way go once no data has arrived for a while
+            if (!file.complete) {
+                if (file.lastChunkAt < now - STALLED_UPLOAD_MS) {
+                    deleteFile(sessionCode, session, fileId);
+                    console.log(`Dropped stalled upload: ${file.originalName}`);
+                }
+                return;
+            }
+            if (!file.expiresAt) return;
+            
+            if (file.expiresAt <= now) {
+                deleteFile(sessionCode, session, fileId);
                 broadcastToSession(sessionCode, { type: 'file_removed', fileId });
-                console.log(`Cleaned up old file: ${file.originalName}`);
+                console.log(`Expired file: ${file.originalName}`);
+            } else if (!file.expiryWarned && file.expiresAt - now <= EXPIRY_WARNING_MS) {
+                file.expiryWarned = true;
+                sendToFileAudience(sessionCode, file, {
+                    type: 'file_expiring',
+                    fileId,
+                    expiresAt: expiryTime(file)
+                });
             }
         });
-        
+    });
+}, 10 * 1000); // Check every 10 seconds
+
+// Clean up old empty sessions and forgotten devices periodically
+setInterval(() => {
+    const thirtyMinutesAgo = Date.now() - 30 * 60 * 1000;
+    
+    sessions.forEach((session, sessionCode) => {
         // Clean up old empty sessions
         const sessionTime = new Date(session.createdAt).getTime();
         if (session.devices.size === 0 && sessionTime < thirtyMinutesAgo) {
-            sessions.delete(sessionCode);
+            deleteSession(sessionCode);
             console.log(`Cleaned up old session: ${sessionCode}`);
         }
     });
+    
+    Object.values(RATE_LIMITS).forEach(limiter => limiter.prune());
+    
+    // Forget device identities that haven't connected for a day
+    const oneDayAgo = Date.now() - 24 * 60 * 60 * 1000;
+    deviceTokens.forEach((identity, token) => {
+        if (!liveSockets.has(identity.deviceId) && identity.lastSeen < oneDayAgo) {
+            deviceTokens.delete(token);
+        }
+    });
 }, 5 * 60 * 1000); // Check every 5 minutes
 
-// Start server
-server.listen(PORT, '0.0.0.0', () => {
+// Start server once download links can be signed the same way as on the other processes
+loadDownloadSecret().catch((err) => {
+    console.error(`Could not load the shared download secret (${err.message}); download links will only work on this process`);
+}).then(() => server.listen(PORT, '0.0.0.0', () => {
     const ip = getLocalIP();
     console.log('\n🚀 easeTransfer Server Started!\n');
     console.log(`   Local:   http://localhost:${PORT}`);
     console.log(`   Network: http://${ip}:${PORT}\n`);
     console.log('   Scan the QR code on the website to connect from your phone!\n');
-});
+}));
@@ -0,0 +1,207 @@
+// The shared registry and bus, run against the in-process adapter and a local stand-in for Redis
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { once } = require('events');
+const { LocalAdapter, RedisAdapter } = require('../lib/cluster');
+
+// Just enough of a Redis server for the adapter: strings, hashes, pub/sub and AUTH
+class RespStandIn {
+    constructor(password) {
+        this.password = password;
+        this.values = new Map();
+        this.hashes = new Map();
+        this.subscribers = new Map(); // channel -> Set of sockets
+        this.sockets = new Set();
+        this.server = net.createServer(socket => this.accept(socket));
+    }
+
+    async listen() {
+        this.server.listen(0, '127.0.0.1');
+        await once(this.server, 'listening');
+        return this.server.address().port;
+    }
+
+    // Drop every client connection, as a restarting server would
+    dropConnections() {
+        this.sockets.forEach(socket => socket.destroy());
+    }
+
+    async close() {
+        this.dropConnections();
+        this.server.close();
+        await once(this.server, 'close');
+    }
+
+    accept(socket) {
+        this.sockets.add(socket);
+        let buffer = Buffer.alloc(0);
+        let authenticated = !this.password;
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            this.sockets.delete(socket);
+            this.subscribers.forEach(set => set.delete(socket));
+        });
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let parsed;
+            while ((parsed = readCommand(buffer))) {
+                buffer = buffer.subarray(parsed.length);
+                const [name, ...args] = parsed.args;
+                if (name.toUpperCase() === 'AUTH') {
+                    authenticated = args[args.length - 1] === this.password;
+                    socket.write(authenticated ? '+OK\r\n' : '-WRONGPASS invalid password\r\n');
+                } else if (!authenticated) {
+                    socket.write('-NOAUTH Authentication required\r\n');
+                } else {
+                    socket.write(this.run(socket, name.toUpperCase(), args));
+                }
+            }
+        });
+    }
+
+    run(socket, name, args) {
+        const [key, ...rest] = args;
+        switch (name) {
+            case 'SELECT':
+                return '+OK\r\n';
+            case 'GET':
+                return bulk(this.values.has(key) ? this.values.get(key) : null);
+            case 'SET':
+                if (rest[1] === 'NX' && this.values.has(key)) return bulk(null);
+                this.values.set(key, rest[0]);
+                return '+OK\r\n';
+            case 'DEL':
+                return `:${args.filter(k => this.values.delete(k) | this.hashes.delete(k)).length}\r\n`;
+            case 'HSET':
+                if (!this.hashes.has(key)) this.hashes.set(key, new Map());
+                this.hashes.get(key).set(rest[0], rest[1]);
+                return ':1\r\n';
+            case 'HGETALL':
+                return array([...(this.hashes.get(key) || [])].flat());
+            case 'PUBLISH': {
+                const listeners = this.subscribers.get(key) || new Set();
+                listeners.forEach(listener => listener.write(array(['message', key, rest[0]])));
+                return `:${listeners.size}\r\n`;
+            }
+            case 'SUBSCRIBE':
+                if (!this.subscribers.has(key)) this.subscribers.set(key, new Set());
+                this.subscribers.get(key).add(socket);
+                return `*3\r\n${bulk('subscribe')}${bulk(key)}:1\r\n`;
+            default:
+                return `-ERR unknown command ${name}\r\n`;
+        }
+    }
+}
+
+function bulk(value) {
+    return value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+function array(items) {
+    return `*${items.length}\r\n${items.map(bulk).join('')}`;
+}
+
+// One "*<n> $<len> <arg> ..." command from the front of buffer: { args, length }, or null until complete
+function readCommand(buffer) {
+    let end = buffer.indexOf('\r\n');
+    if (end === -1) return null;
+    const count = Number(buffer.toString('utf8', 1, end));
+    let pos = end + 2;
+    const args = [];
+    for (let i = 0; i < count; i++) {
+        end = buffer.indexOf('\r\n', pos);
+        if (end === -1) return null;
+        const length = Number(buffer.toString('utf8', pos + 1, end));
+        if (buffer.length < end + 2 + length + 2) return null;
+        args.push(buffer.toString('utf8', end + 2, end + 2 + length));
+        pos = end + 2 + length + 2;
+    }
+    return { args, length: pos };
+}
+
+function nextMessage(adapter, channel) {
+    return new Promise(resolve => adapter.subscribe(channel, resolve));
+}
+
+test('local adapter keeps values and hashes and delivers messages', async () => {
+    const adapter = new LocalAdapter();
+    await adapter.set('a', 1);
+    assert.strictEqual(await adapter.get('a'), '1');
+    assert.strictEqual(await adapter.setnx('a', 2), false);
+    assert.strictEqual(await adapter.setnx('b', 2), true);
+    await adapter.hset('h', 'x', 'y');
+    assert.deepStrictEqual(await adapter.hgetall('h'), { x: 'y' });
+    await adapter.del('a', 'h');
+    assert.strictEqual(await adapter.get('a'), null);
+    assert.deepStrictEqual(await adapter.hgetall('h'), {});
+
+    const received = nextMessage(adapter, 'events');
+    await adapter.publish('events', 'hello');
+    assert.strictEqual(await received, 'hello');
+});
+
+test('redis adapter talks to a server that needs AUTH', async (t) => {
+    const server = new RespStandIn('secret');
+    const port = await server.listen();
+    const adapter = new RedisAdapter(`redis://:secret@127.0.0.1:${port}/2`);
+    t.after(async () => {
+        adapter.close();
+        await server.close();
+    });
+
+    await adapter.set('key', 'value');
+    assert.strictEqual(await adapter.get('key'), 'value');
+    assert.strictEqual(await adapter.setnx('key', 'other'), false);
+    assert.strictEqual(await adapter.setnx('fresh', 'other'), true);
+    await adapter.hset('hash', 'field', 'x');
+    assert.deepStrictEqual(await adapter.hgetall('hash'), { field: 'x' });
+
+    const received = nextMessage(adapter, 'events');
+    // Give SUBSCRIBE a moment to reach the server
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await adapter.publish('events', 'hello');
+    assert.strictEqual(await received, 'hello');
+});
+
+test('redis adapter keeps replies in step across a reconnect', async (t) => {
+    const server = new RespStandIn('secret');
+    const port = await server.listen();
+    const adapter = new RedisAdapter(`redis://:secret@127.0.0.1:${port}`);
+    t.after(async () => {
+        adapter.close();
+        await server.close();
+    });
+
+    await adapter.set('key', 'value');
+    const events = [];
+    await adapter.subscribe('events', message => events.push(message));
+
+    server.dropConnections();
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    // Issued while disconnected: answered after AUTH on the new connection, not by AUTH's reply
+    assert.strictEqual(await adapter.get('key'), 'value');
+    assert.strictEqual(await adapter.get('missing'), null);
+    await adapter.set('key', 'changed');
+    assert.strictEqual(await adapter.get('key'), 'changed');
+
+    // The subscription comes back with the connection
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await adapter.publish('events', 'again');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepStrictEqual(events, ['again']);
+});
+
+test('redis adapter fails commands when the server stays away', async () => {
+    const server = new RespStandIn();
+    const port = await server.listen();
+    await server.close();
+
+    const adapter = new RedisAdapter(`redis://127.0.0.1:${port}`);
+    try {
+        await assert.rejects(adapter.get('key'), /Redis connection closed/);
+    } finally {
+        adapter.close();
+    }
+});
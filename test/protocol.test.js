@@ -0,0 +1,129 @@
+// Message schemas and the name cleaning applied to everything devices send
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateMessage, cleanFileName, cleanDeviceName, cleanRelativePath, isId } = require('../lib/protocol');
+
+const FILE_ID = '0b7e2b52-5b8a-4c1e-9f43-2d1a6f3c8e90';
+
+test('file names keep only their last path segment', () => {
+    assert.strictEqual(cleanFileName('photo.jpg'), 'photo.jpg');
+    assert.strictEqual(cleanFileName('../../etc/passwd'), 'passwd');
+    assert.strictEqual(cleanFileName('C:\\Users\\me\\notes.txt'), 'notes.txt');
+    assert.strictEqual(cleanFileName('  spaced.txt  '), 'spaced.txt');
+});
+
+test('file names lose control and bidi characters', () => {
+    assert.strictEqual(cleanFileName('a\x00b\nc.txt'), 'abc.txt');
+    // "\u202e" would make "gpj.exe" read as "exe.jpg"
+    assert.strictEqual(cleanFileName('photo\u202egpj.exe'), 'photogpj.exe');
+    assert.strictEqual(cleanFileName('x\u2066y\u2069.txt'), 'xy.txt');
+});
+
+test('file names with nothing usable left are refused', () => {
+    assert.strictEqual(cleanFileName('..'), null);
+    assert.strictEqual(cleanFileName('.'), null);
+    assert.strictEqual(cleanFileName('a/..'), null);
+    assert.strictEqual(cleanFileName('folder/'), null);
+    assert.strictEqual(cleanFileName('\u202e'), null);
+    assert.strictEqual(cleanFileName('x'.repeat(256)), null);
+    assert.strictEqual(cleanFileName(42), null);
+});
+
+test('device names are trimmed to something safe to show', () => {
+    assert.strictEqual(cleanDeviceName('  My   Phone \n '), 'My Phone');
+    assert.strictEqual(cleanDeviceName('x'.repeat(60)), 'x'.repeat(40));
+    assert.strictEqual(cleanDeviceName('\u202e\x07'), null);
+    assert.strictEqual(cleanDeviceName(undefined), null);
+});
+
+test('relative paths are reduced to plain folder paths', () => {
+    assert.strictEqual(cleanRelativePath('Trip/day 1/a.jpg'), 'Trip/day 1/a.jpg');
+    assert.strictEqual(cleanRelativePath('/Trip//./a.jpg'), 'Trip/a.jpg');
+    assert.strictEqual(cleanRelativePath('..\\..\\Trip\\a.jpg'), 'Trip/a.jpg');
+    assert.strictEqual(cleanRelativePath('Trip/\x01sub/a.jpg'), 'Trip/sub/a.jpg');
+    assert.strictEqual(cleanRelativePath("Mom's photos/a.jpg"), "Mom's photos/a.jpg");
+});
+
+test('relative paths that are not folder uploads are refused', () => {
+    assert.strictEqual(cleanRelativePath('a.jpg'), null);
+    assert.strictEqual(cleanRelativePath('../a.jpg'), null);
+    assert.strictEqual(cleanRelativePath('x" autofocus onfocus="alert(1)/a.jpg'), null);
+    assert.strictEqual(cleanRelativePath('a/'.repeat(600)), null);
+    assert.strictEqual(cleanRelativePath(null), null);
+});
+
+test('IDs must be UUIDs', () => {
+    assert.strictEqual(isId(FILE_ID), true);
+    assert.strictEqual(isId(FILE_ID.slice(1)), false);
+    assert.strictEqual(isId(`${FILE_ID}/../x`), false);
+    assert.strictEqual(isId(undefined), false);
+});
+
+test('messages that are not typed objects are rejected', () => {
+    for (const message of [null, 'text', [], {}, { type: 3 }]) {
+        assert.strictEqual(validateMessage(message).rejection.code, 'invalid_message');
+    }
+    assert.strictEqual(validateMessage({ type: 'format_disk' }).rejection.code, 'unknown_type');
+    // Inherited names are not message types
+    assert.strictEqual(validateMessage({ type: 'constructor' }).rejection.code, 'unknown_type');
+});
+
+test('messages keep only their schema fields, cleaned', () => {
+    const { message } = validateMessage({
+        type: 'file_start',
+        fileName: '../secret/report.pdf',
+        fileSize: 10,
+        mimeType: 'application/pdf',
+        uploaderId: FILE_ID,
+        pinned: true
+    });
+    assert.deepStrictEqual(message, {
+        type: 'file_start',
+        fileName: 'report.pdf',
+        fileSize: 10,
+        mimeType: 'application/pdf',
+        pinned: true
+    });
+});
+
+test('messages with bad fields are rejected, naming the field', () => {
+    const missing = validateMessage({ type: 'file_start', fileSize: 1 }).rejection;
+    assert.strictEqual(missing.code, 'invalid_message');
+    assert.match(missing.error, /fileName is required/);
+
+    assert.match(validateMessage({ type: 'file_start', fileName: 'a', fileSize: -1 }).rejection.error, /fileSize must be/);
+    assert.match(validateMessage({ type: 'file_start', fileName: 'a', fileSize: 1.5 }).rejection.error, /fileSize must be/);
+    assert.match(validateMessage({ type: 'file_start', fileName: 'a', fileSize: 1, mimeType: 'text/html\n' }).rejection.error, /mimeType/);
+    assert.match(validateMessage({ type: 'file_start', fileName: '..', fileSize: 1 }).rejection.error, /fileName must be/);
+    assert.match(validateMessage({ type: 'delete_file', fileId: '../x' }).rejection.error, /fileId must be an ID/);
+    assert.match(validateMessage({ type: 'pin_file', fileId: FILE_ID, pinned: 'yes' }).rejection.error, /pinned must be true or false/);
+    assert.match(validateMessage({ type: 'join_session', sessionCode: 'AB-12' }).rejection.error, /sessionCode/);
+});
+
+test('nested objects and lists are checked item by item', () => {
+    const recipients = validateMessage({ type: 'send_text', text: 'hi', recipients: [FILE_ID, 'nope'] }).rejection;
+    assert.match(recipients.error, /recipients\[1\] must be an ID/);
+
+    const encryption = validateMessage({
+        type: 'send_text',
+        text: 'hi',
+        encryption: { alg: 'AES-GCM', keyId: 'k', nonce: 'n+/', chunkSize: 1, plainSize: 2 }
+    }).rejection;
+    assert.match(encryption.error, /encryption\.nonce must be base64url text/);
+
+    const big = validateMessage({
+        type: 'rtc_signal',
+        targetId: FILE_ID,
+        signal: { kind: 'offer', transferId: 't', sdp: 'x'.repeat(70 * 1024) }
+    }).rejection;
+    assert.match(big.error, /signal must be an object of at most/);
+});
+
+test('open objects pass their extra fields on', () => {
+    const { message } = validateMessage({
+        type: 'rtc_signal',
+        targetId: FILE_ID,
+        signal: { kind: 'answer', transferId: 't1', sdp: 'v=0' }
+    });
+    assert.deepStrictEqual(message.signal, { kind: 'answer', transferId: 't1', sdp: 'v=0' });
+});
@@ -0,0 +1,140 @@
+// The web app's upload queue, run against a stand-in socket that plays the server's part
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { webcrypto } = require('crypto');
+
+// Load public/app.js as the page would, minus the DOM, and hand back its classes
+function loadApp() {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'public', 'app.js'), 'utf8');
+    const storage = new Map();
+    const context = vm.createContext({
+        console,
+        setTimeout,
+        clearTimeout,
+        TextEncoder,
+        btoa,
+        atob,
+        crypto: webcrypto,
+        WebSocket: { OPEN: 1 },
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value))
+        },
+        document: { addEventListener() {} }
+    });
+    return vm.runInContext(`${source}\n({ EaseTransfer, UploadManager });`, context);
+}
+
+// A socket whose "server" confirms stored bytes with upload_progress, unless told to hold back
+class ServerStandIn {
+    constructor() {
+        this.readyState = 1;
+        this.bufferedAmount = 0;
+        this.stored = 0;
+        this.confirming = true;
+        this.messages = [];
+        this.manager = null;
+    }
+
+    send(data) {
+        if (typeof data === 'string') {
+            const message = JSON.parse(data);
+            this.messages.push(message);
+            if (message.type === 'file_start') {
+                this.upload = { requestId: message.requestId, fileId: '0b7e2b52-5b8a-4c1e-9f43-2d1a6f3c8e90' };
+                setImmediate(() => this.manager.handleStartAck({ ...this.upload }));
+            }
+            if (message.type === 'file_complete' && this.onComplete) this.onComplete(message);
+            return;
+        }
+        this.stored += data.byteLength - 36;
+        if (this.confirming) setImmediate(() => this.confirm());
+    }
+
+    confirm(received = this.stored) {
+        this.manager.handleProgress({ ...this.upload, received, total: 0 });
+    }
+}
+
+function createManager(ws) {
+    const { EaseTransfer, UploadManager } = loadApp();
+    const app = Object.create(EaseTransfer.prototype);
+    Object.assign(app, {
+        ws,
+        sessionCode: 'ABC123',
+        sessionKey: null,
+        localFiles: new Map(),
+        files: new Map(),
+        createThumbnail: () => Promise.resolve(null),
+        showToast() {},
+        renderFiles() {}
+    });
+    const manager = new UploadManager(app);
+    manager.render = () => {};
+    manager.renderProgress = () => {};
+    ws.manager = manager;
+    return manager;
+}
+
+// Resolves once check() holds; a stalled upload fails the test instead of hanging it
+function waitFor(check, what, ms = 5000) {
+    const deadline = Date.now() + ms;
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            if (check()) return resolve();
+            if (Date.now() > deadline) return reject(new Error(`Timed out waiting for ${what}`));
+            setTimeout(poll, 10);
+        };
+        poll();
+    });
+}
+
+// A closed socket ends the upload's chunk loop, so a failed test leaves nothing running
+function closeAfter(t, ws) {
+    t.after(() => { ws.readyState = 3; });
+}
+
+test('an upload larger than the credit window runs to the end as the server confirms it', async (t) => {
+    const ws = new ServerStandIn();
+    closeAfter(t, ws);
+    const manager = createManager(ws);
+    const size = 4 * 1024 * 1024;
+    let complete = null;
+    ws.onComplete = message => { complete = message; };
+
+    manager.add([{ file: new Blob([new Uint8Array(size)]), relativePath: '' }]);
+    await waitFor(() => complete, 'file_complete');
+
+    assert.strictEqual(ws.stored, size);
+    assert.strictEqual(complete.fileId, ws.upload.fileId);
+    assert.match(complete.sha256, /^[0-9a-f]{64}$/);
+});
+
+test('an upload stops a window ahead of the server and carries on when it catches up', async (t) => {
+    const ws = new ServerStandIn();
+    closeAfter(t, ws);
+    ws.confirming = false;
+    const manager = createManager(ws);
+    let complete = null;
+    ws.onComplete = message => { complete = message; };
+
+    manager.add([{ file: new Blob([new Uint8Array(3 * manager.window)]), relativePath: '' }]);
+    await waitFor(() => ws.stored === manager.window, 'the first window');
+    // Give it time to overrun the window if it were going to
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.strictEqual(ws.stored, manager.window);
+
+    // Confirming half the window lets half a window more out
+    ws.confirm(manager.window / 2);
+    await waitFor(() => ws.stored === manager.window * 1.5, 'half a window more');
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.strictEqual(ws.stored, manager.window * 1.5);
+
+    ws.confirming = true;
+    ws.confirm();
+    await waitFor(() => complete, 'file_complete');
+    assert.strictEqual(ws.stored, 3 * manager.window);
+});
@@ -0,0 +1,115 @@
+// The streaming ZIP writer: archive length known up front, readable entries, unique names
+const test = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const zip = require('../lib/zip');
+
+function entry(name, data, date = '2024-05-01T10:20:30Z') {
+    return { name, size: data.length, date, open: () => Readable.from([data]) };
+}
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+function crc32(data) {
+    let crc = ~0;
+    for (const byte of data) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return ~crc >>> 0;
+}
+
+// Entries as a reader would find them: through the end record and the central directory
+function readArchive(archive) {
+    const end = archive.length - 22;
+    assert.strictEqual(archive.readUInt32LE(end), 0x06054b50);
+    const count = archive.readUInt16LE(end + 10);
+    let pos = archive.readUInt32LE(end + 16);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.strictEqual(archive.readUInt32LE(pos), 0x02014b50);
+        const crc = archive.readUInt32LE(pos + 16);
+        const size = archive.readUInt32LE(pos + 24);
+        const nameLength = archive.readUInt16LE(pos + 28);
+        const extraLength = archive.readUInt16LE(pos + 30);
+        const offset = archive.readUInt32LE(pos + 42);
+        const name = archive.toString('utf8', pos + 46, pos + 46 + nameLength);
+
+        assert.strictEqual(archive.readUInt32LE(offset), 0x04034b50);
+        const dataStart = offset + 30 + archive.readUInt16LE(offset + 26) + archive.readUInt16LE(offset + 28);
+        entries.push({ name, crc, data: archive.subarray(dataStart, dataStart + size) });
+        pos += 46 + nameLength + extraLength;
+    }
+    return entries;
+}
+
+test('zipLength matches the bytes streamed', async () => {
+    const entries = [
+        entry('Trip/photo.jpg', Buffer.alloc(70000, 7)),
+        entry('Trip/empty.txt', Buffer.alloc(0)),
+        entry('Reisen/Übersicht 报告.txt', Buffer.from('hello'))
+    ];
+    const archive = await collect(zip.createZipStream(entries));
+    assert.strictEqual(archive.length, zip.zipLength(entries));
+    assert.strictEqual(zip.zipLength([]), 22);
+    assert.strictEqual((await collect(zip.createZipStream([]))).length, 22);
+});
+
+test('entries can be read back with their names, contents and CRCs', async () => {
+    const contents = [Buffer.from('first file\n'), Buffer.alloc(0), Buffer.from('ünïcödé')];
+    const names = ['a.txt', 'Folder/b.bin', 'Ordner/ç.txt'];
+    const archive = await collect(zip.createZipStream(names.map((name, i) => entry(name, contents[i]))));
+
+    const read = readArchive(archive);
+    assert.deepStrictEqual(read.map(e => e.name), names);
+    read.forEach((e, i) => {
+        assert.ok(e.data.equals(contents[i]));
+        assert.strictEqual(e.crc, crc32(contents[i]));
+    });
+});
+
+test('entries of 4 GB and more get ZIP64 records', () => {
+    const name = 'big.bin';
+    const size = 5 * 1024 ** 3;
+    // local header + ZIP64 extra, data, ZIP64 descriptor, central header + extra, ZIP64 end records
+    const expected = (30 + name.length + 20) + size + 24 + (46 + name.length + 20) + (22 + 56 + 20);
+    assert.strictEqual(zip.zipLength([{ name, size }]), expected);
+});
+
+test('an entry that does not match its size fails the stream', async () => {
+    const short = { ...entry('short.txt', Buffer.from('abc')), size: 10 };
+    await assert.rejects(collect(zip.createZipStream([short])), /short\.txt changed size while zipping/);
+
+    const long = { ...entry('long.txt', Buffer.from('abcdef')), size: 2 };
+    await assert.rejects(collect(zip.createZipStream([long])), /long\.txt changed size while zipping/);
+});
+
+test('uniqueNames numbers duplicates and keeps folders and extensions', () => {
+    assert.deepStrictEqual(zip.uniqueNames([
+        'photo.jpg',
+        'photo.jpg',
+        'PHOTO.jpg',
+        'photo (1).jpg',
+        'Trip/photo.jpg',
+        'Trip/photo.jpg',
+        'Trip.v2/README',
+        'Trip.v2/README',
+        '.env',
+        '.env'
+    ]), [
+        'photo.jpg',
+        'photo (1).jpg',
+        'PHOTO (2).jpg',
+        'photo (1) (1).jpg',
+        'Trip/photo.jpg',
+        'Trip/photo (1).jpg',
+        'Trip.v2/README',
+        'Trip.v2/README (1)',
+        '.env',
+        '.env (1)'
+    ]);
+});